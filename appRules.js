@@ -0,0 +1,124 @@
+const MATCH_FIELDS = ['process', 'path', 'title'];
+const WINDOW_FIELDS = ['path', 'title'];
+
+const escapeRegExp = (value) => value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a rule pattern. `/body/flags` is a regular expression; anything else is a glob
+ * where `*` matches any run of characters and `?` a single one. Both are case-insensitive,
+ * since process names are only known in lower case: `i` is added to the regex flags.
+ * Throws for an invalid regular expression.
+ */
+const compilePattern = (pattern) => {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    const flags = regexMatch[2].includes('i') ? regexMatch[2] : `${regexMatch[2]}i`;
+    return new RegExp(regexMatch[1], flags);
+  }
+  const source = escapeRegExp(pattern).replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+const toMatchers = (match = {}) =>
+  MATCH_FIELDS.filter((field) => typeof match[field] === 'string' && match[field]).map((field) => {
+    try {
+      return { field, pattern: compilePattern(match[field]) };
+    } catch (error) {
+      // Invalid patterns are rejected by the config schema; never match if one slips through.
+      return { field, pattern: /(?!)/ };
+    }
+  });
+
+// Translates the pre-rules keys (selectionAssistant blacklist and filterMode/filterList,
+// delayedCopy.apps) into rules, ordered so that an explicit `appRules` entry can still override them.
+const legacyRules = (config) => {
+  const rules = [];
+  const selectionConfig = config.selectionAssistant || {};
+  const filterList = Array.isArray(selectionConfig.filterList) ? selectionConfig.filterList : [];
+
+  if (filterList.length > 0) {
+    const whitelist = selectionConfig.filterMode === 'whitelist';
+    if (whitelist) {
+      rules.push({ match: {}, enabled: false });
+    }
+    filterList.forEach((name) => {
+      rules.push({ match: { process: `*${name}*` }, enabled: whitelist });
+    });
+  }
+
+  (Array.isArray(selectionConfig.blacklist) ? selectionConfig.blacklist : []).forEach((name) => {
+    rules.push({ match: { process: name }, enabled: false });
+  });
+
+  Object.entries(config.delayedCopy?.apps || {}).forEach(([name, delay]) => {
+    rules.push({ match: { process: name }, copyDelayMs: Number(delay) || 0 });
+  });
+
+  return rules;
+};
+
+/**
+ * Builds the evaluator shared by the selection service and the renderers. `evaluate` takes
+ * `{ processName, path, title }` and returns the merged behaviour of every matching rule,
+ * applied in order so later rules win.
+ */
+const createAppRules = (config = {}) => {
+  const userRules = Array.isArray(config.appRules) ? config.appRules : [];
+  const rules = [...legacyRules(config), ...userRules].map((rule) => ({
+    ...rule,
+    matchers: toMatchers(rule.match)
+  }));
+
+  const defaults = {
+    enabled: true,
+    copyDelayMs: Number(config.delayedCopy?.defaultDelayMs) || 0,
+    triggerMode: config.selectionAssistant?.triggerMode || 'selected',
+    style: null
+  };
+
+  const needsWindowInfo = rules.some((rule) =>
+    rule.matchers.some((matcher) => WINDOW_FIELDS.includes(matcher.field))
+  );
+
+  const matches = (rule, target) =>
+    rule.matchers.every(({ field, pattern }) => {
+      const value = field === 'process' ? target.processName : target[field];
+      return typeof value === 'string' && pattern.test(value);
+    });
+
+  const evaluate = (target = {}) => {
+    const normalized = {
+      processName: (target.processName || '').toLowerCase(),
+      path: target.path || '',
+      title: target.title || ''
+    };
+    return rules.reduce(
+      (behavior, rule) => {
+        if (!matches(rule, normalized)) {
+          return behavior;
+        }
+        return {
+          enabled: typeof rule.enabled === 'boolean' ? rule.enabled : behavior.enabled,
+          copyDelayMs: Number.isFinite(rule.copyDelayMs) ? rule.copyDelayMs : behavior.copyDelayMs,
+          triggerMode: rule.triggerMode || behavior.triggerMode,
+          style: rule.style ? { ...behavior.style, ...rule.style } : behavior.style
+        };
+      },
+      { ...defaults }
+    );
+  };
+
+  const usesTriggerMode = (mode) =>
+    defaults.triggerMode === mode || rules.some((rule) => rule.triggerMode === mode);
+
+  return {
+    evaluate,
+    needsWindowInfo,
+    usesTriggerMode
+  };
+};
+
+module.exports = {
+  compilePattern,
+  createAppRules
+};
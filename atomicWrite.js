@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const RENAME_ATTEMPTS = 5;
+const RENAME_RETRY_MS = 50;
+// Windows refuses to replace a file another process (editor, virus scanner) briefly holds open.
+const TRANSIENT_RENAME_ERRORS = new Set(['EPERM', 'EACCES', 'EBUSY']);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const renameWithRetry = async (from, to) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await fs.rename(from, to);
+      return;
+    } catch (error) {
+      if (attempt >= RENAME_ATTEMPTS || !TRANSIENT_RENAME_ERRORS.has(error.code)) {
+        throw error;
+      }
+      await wait(RENAME_RETRY_MS * attempt);
+    }
+  }
+};
+
+/**
+ * Writes `contents` to a temporary file next to `filePath`, flushes it and renames it over the
+ * target, so readers (and file watchers) only ever see the old or the complete new file.
+ */
+const writeFileAtomic = async (filePath, contents) => {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    // The random part keeps two writes in the same millisecond off each other's temp file.
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+  try {
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(contents, 'utf-8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await renameWithRetry(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true }).catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,37 @@
+/**
+ * Exponential delays for retrying something that keeps failing: `next()` returns
+ * `initialMs`, then doubles up to `maxMs`. Once `resetAfterMs` pass without a call to
+ * `next()`, the thing is considered healthy again and the delay starts over.
+ */
+const createBackoff = ({ initialMs = 1000, maxMs = 60000, resetAfterMs = 5 * 60 * 1000 } = {}) => {
+  let attempts = 0;
+  let lastAttemptAt = 0;
+
+  const reset = () => {
+    attempts = 0;
+    lastAttemptAt = 0;
+  };
+
+  const next = () => {
+    const now = Date.now();
+    if (lastAttemptAt && now - lastAttemptAt > resetAfterMs) {
+      reset();
+    }
+    const delayMs = Math.min(maxMs, initialMs * 2 ** attempts);
+    attempts += 1;
+    lastAttemptAt = now;
+    return delayMs;
+  };
+
+  return {
+    next,
+    reset,
+    get attempts() {
+      return attempts;
+    }
+  };
+};
+
+module.exports = {
+  createBackoff
+};
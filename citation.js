@@ -0,0 +1,66 @@
+// Templates available without any `citationTemplates` config; a configured entry with the same
+// name replaces the preset.
+const CITATION_PRESETS = {
+  markdown: '> {text}\n— {windowTitle} ({program}, {date})',
+  plain: '"{text}"\n— {windowTitle} ({program}), {date} {time}',
+  bibtex: [
+    '@misc{{key},',
+    '  title = {{windowTitle}},',
+    '  url = {{url}},',
+    '  note = {Quoted from {program} on {date}},',
+    '  annote = {{text}}',
+    '}'
+  ].join('\n')
+};
+const DEFAULT_CITATION_TEMPLATE = 'markdown';
+
+// Quote markers and indentation in front of a placeholder are repeated on each further line of
+// its value, so `> {text}` stays one block quote for a multi-line selection.
+const CONTINUATION_PREFIX = /^[>\t ]+$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Program name without its extension followed by the date, e.g. `chrome20261019`.
+const buildCitationKey = (program, date) =>
+  `${program.replace(/\.[^.]*$/, '').replace(/[^a-z0-9]/gi, '').toLowerCase() || 'quote'}${formatDate(date).replace(/-/g, '')}`;
+
+const resolveCitationTemplate = (name, configured) => {
+  const templates = { ...CITATION_PRESETS, ...configured };
+  return typeof templates[name] === 'string' ? templates[name] : CITATION_PRESETS[DEFAULT_CITATION_TEMPLATE];
+};
+
+/**
+ * Fills a citation template. Placeholders are `{text}`, `{program}`, `{windowTitle}` (the
+ * program name when the title is unknown), `{url}` (empty unless the browser reports one),
+ * `{date}` (`YYYY-MM-DD`), `{time}` (`HH:MM`), `{year}` and `{key}`, all in local time from
+ * `date`. Braces around anything else are left alone, which keeps BibTeX templates readable.
+ */
+const formatCitation = (template, { text = '', program = '', windowTitle = '', url = '', date = new Date() }) => {
+  const values = {
+    text,
+    program,
+    windowTitle: windowTitle || program,
+    url,
+    date: formatDate(date),
+    time: formatTime(date),
+    year: String(date.getFullYear()),
+    key: buildCitationKey(program, date)
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name, offset) => {
+    if (!Object.hasOwn(values, name)) {
+      return match;
+    }
+    const prefix = template.slice(template.lastIndexOf('\n', offset - 1) + 1, offset);
+    return CONTINUATION_PREFIX.test(prefix) ? values[name].replace(/\n/g, `\n${prefix}`) : values[name];
+  });
+};
+
+module.exports = {
+  CITATION_PRESETS,
+  formatCitation,
+  resolveCitationTemplate
+};
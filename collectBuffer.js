@@ -0,0 +1,64 @@
+// How collected entries are joined; `bullet` also prefixes each entry so the result reads as a list.
+const SEPARATORS = {
+  newline: { join: '\n', prefix: '' },
+  blankLine: { join: '\n\n', prefix: '' },
+  bullet: { join: '\n', prefix: '• ' }
+};
+const COLLECT_SEPARATORS = Object.keys(SEPARATORS);
+
+/**
+ * Selections gathered in collect mode. `append`, `undo` and `text` return what belongs on the
+ * clipboard: the entries joined by the configured `separator`, with a `[program]` line before
+ * each run of entries from the same program when `sourceHeaders` is on. Continuation lines of a
+ * bulleted entry are indented under its bullet.
+ */
+const createCollectBuffer = (config = {}) => {
+  let entries = [];
+  let separator = 'newline';
+  let sourceHeaders = false;
+
+  const configure = (next = {}) => {
+    separator = SEPARATORS[next.separator] ? next.separator : 'newline';
+    sourceHeaders = next.sourceHeaders === true;
+  };
+
+  const format = () => {
+    const { join, prefix } = SEPARATORS[separator];
+    const indent = ' '.repeat(prefix.length);
+    return entries
+      .map((entry, index) => {
+        const body = prefix ? `${prefix}${entry.text.replace(/\n/g, `\n${indent}`)}` : entry.text;
+        const startsRun = entry.program && entry.program !== entries[index - 1]?.program;
+        return sourceHeaders && startsRun ? `[${entry.program}]\n${body}` : body;
+      })
+      .join(join);
+  };
+
+  configure(config);
+
+  return {
+    configure,
+    append: (text, program) => {
+      entries.push({ text, program: program || '' });
+      return format();
+    },
+    undo: () => {
+      entries.pop();
+      return format();
+    },
+    clear: () => {
+      entries = [];
+    },
+    get count() {
+      return entries.length;
+    },
+    get text() {
+      return format();
+    }
+  };
+};
+
+module.exports = {
+  COLLECT_SEPARATORS,
+  createCollectBuffer
+};
@@ -0,0 +1,117 @@
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const isWindows = process.platform === 'win32';
+
+const SIMPLE_COMMANDS = {
+  '--status': 'status',
+  '--resume': 'resume',
+  '--toggle': 'toggle',
+  '--open-settings': 'open-settings'
+};
+
+/**
+ * Parses the app's own flags out of `args` (argv without the executable). Anything else,
+ * such as Chromium switches or the app path in development, is ignored. Returns the
+ * `commands` in order, `hidden`, `configPath` and any usage `errors`.
+ */
+const parseCommandLine = (args) => {
+  const result = { commands: [], hidden: false, configPath: null, errors: [] };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = String(args[index]);
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+    const inlineValue = equals === -1 ? undefined : arg.slice(equals + 1);
+
+    if (SIMPLE_COMMANDS[flag] && inlineValue === undefined) {
+      result.commands.push({ type: SIMPLE_COMMANDS[flag] });
+    } else if (flag === '--pause') {
+      if (inlineValue === undefined) {
+        result.commands.push({ type: 'pause', minutes: null });
+      } else if (Number(inlineValue) > 0) {
+        result.commands.push({ type: 'pause', minutes: Number(inlineValue) });
+      } else {
+        result.errors.push(`--pause expects a positive number of minutes, got "${inlineValue}"`);
+      }
+    } else if (flag === '--hidden') {
+      result.hidden = true;
+    } else if (flag === '--config') {
+      const value = inlineValue ?? args[index + 1];
+      if (inlineValue === undefined) {
+        index += 1;
+      }
+      if (typeof value !== 'string' || value === '' || value.startsWith('--')) {
+        result.errors.push('--config expects a file path');
+      } else {
+        result.configPath = path.resolve(value);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Listens for the one-line JSON reply the running instance sends back to a second launch.
+ * `wait(timeoutMs)` resolves with the parsed message, or null on timeout or garbage.
+ */
+const createReplyChannel = async () => {
+  const address = isWindows
+    ? `\\\\.\\pipe\\SelectionCopy-cli-${process.pid}`
+    : path.join(os.tmpdir(), `selectioncopy-cli-${process.pid}.sock`);
+  if (!isWindows) {
+    await fs.rm(address, { force: true });
+  }
+
+  let deliver = () => {};
+  const received = new Promise((resolve) => {
+    deliver = resolve;
+  });
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+    });
+    socket.on('end', () => {
+      try {
+        deliver(JSON.parse(buffer));
+      } catch (error) {
+        deliver(null);
+      }
+    });
+    socket.on('error', () => deliver(null));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(address, resolve);
+  });
+  if (!isWindows) {
+    await fs.chmod(address, 0o600);
+  }
+
+  return {
+    address,
+    wait: (timeoutMs) =>
+      Promise.race([received, new Promise((resolve) => setTimeout(() => resolve(null), timeoutMs).unref())]),
+    close: () => server.close()
+  };
+};
+
+const sendReply = (address, message) =>
+  new Promise((resolve) => {
+    const socket = net.connect(address, () => {
+      socket.end(`${JSON.stringify(message)}\n`, resolve);
+    });
+    socket.on('error', resolve);
+  });
+
+module.exports = {
+  parseCommandLine,
+  createReplyChannel,
+  sendReply
+};
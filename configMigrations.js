@@ -0,0 +1,86 @@
+const CONFIG_VERSION = 3;
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Labels that version 2 and earlier wrote for the built-in actions; with them gone the labels
+// follow the UI language. Anything the user renamed is kept.
+const LEGACY_ACTION_LABELS = {
+  copy: 'Copy',
+  'copy-markdown': 'Markdown',
+  'copy-plain': 'Plain',
+  search: 'Search',
+  'open-url': 'Open'
+};
+
+// Step `version` upgrades a config from `version - 1`. Steps only touch keys the user actually
+// wrote, so a minimal config file stays minimal.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Moved blacklist into selectionAssistant.blacklist',
+    migrate: (config) => {
+      if (!('blacklist' in config)) {
+        return config;
+      }
+      const { blacklist, ...rest } = config;
+      const selectionAssistant = isRecord(rest.selectionAssistant) ? rest.selectionAssistant : {};
+      if (selectionAssistant.blacklist !== undefined) {
+        return rest;
+      }
+      return { ...rest, selectionAssistant: { ...selectionAssistant, blacklist } };
+    }
+  },
+  {
+    version: 3,
+    description: 'Dropped default English labels from built-in bubble actions',
+    migrate: (config) => {
+      if (!Array.isArray(config.bubbleActions)) {
+        return config;
+      }
+      return {
+        ...config,
+        bubbleActions: config.bubbleActions.map((action) => {
+          if (!isRecord(action) || action.label !== LEGACY_ACTION_LABELS[action.type ?? action.id]) {
+            return action;
+          }
+          const { label, ...rest } = action;
+          return rest;
+        })
+      };
+    }
+  }
+];
+
+// Files written before `configVersion` existed are version 1.
+const getConfigVersion = (config) =>
+  Number.isInteger(config.configVersion) && config.configVersion > 0 ? config.configVersion : 1;
+
+/**
+ * Upgrades a parsed user config to `CONFIG_VERSION`. Returns the upgraded `config`, the
+ * `fromVersion` it started at and the descriptions of the `applied` steps. Configs that are not
+ * objects, already current or written by a newer release are returned unchanged.
+ */
+const migrateConfig = (raw) => {
+  if (!isRecord(raw)) {
+    return { config: raw, fromVersion: null, applied: [] };
+  }
+  const fromVersion = getConfigVersion(raw);
+  if (fromVersion >= CONFIG_VERSION) {
+    return { config: raw, fromVersion, applied: [] };
+  }
+
+  const applied = [];
+  const { configVersion, ...migrated } = MIGRATIONS.filter((step) => step.version > fromVersion).reduce(
+    (config, step) => {
+      applied.push(step.description);
+      return step.migrate(config);
+    },
+    raw
+  );
+  return { config: { configVersion: CONFIG_VERSION, ...migrated }, fromVersion, applied };
+};
+
+module.exports = {
+  CONFIG_VERSION,
+  migrateConfig
+};
@@ -0,0 +1,301 @@
+const { TRANSFORM_NAMES } = require('./textCleanup');
+const { compilePattern } = require('./appRules');
+const { SENSITIVE_ACTIONS } = require('./sensitiveContent');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { SIDES } = require('./toolbarPlacement');
+const { COLLECT_SEPARATORS } = require('./collectBuffer');
+
+// Each validator receives the raw value and returns `{ value }` when it is usable or
+// `{ error }` when it is not. Containers keep their valid children and report the rest,
+// so one bad field never discards its siblings.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const boolean = () => (value) =>
+  typeof value === 'boolean' ? { value } : { error: `Expected true or false, got ${describe(value)}` };
+
+const string = ({ allowEmpty = false } = {}) => (value) => {
+  if (typeof value !== 'string') {
+    return { error: `Expected a string, got ${describe(value)}` };
+  }
+  if (!allowEmpty && value.trim() === '') {
+    return { error: 'Expected a non-empty string' };
+  }
+  return { value };
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { error: `Expected a number, got ${describe(value)}` };
+  }
+  if (integer && !Number.isInteger(value)) {
+    return { error: 'Expected a whole number' };
+  }
+  if (value < min || value > max) {
+    const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+    return { error: `Expected a number ${range}` };
+  }
+  return { value };
+};
+
+const oneOf = (choices) => (value) =>
+  choices.includes(value)
+    ? { value }
+    : { error: `Expected one of ${choices.map((choice) => `"${choice}"`).join(', ')}` };
+
+const pattern = () => (value) => {
+  const checked = string()(value);
+  if (checked.error) {
+    return checked;
+  }
+  try {
+    compilePattern(value);
+    return { value };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+const regex = () => (value) => {
+  const checked = string()(value);
+  if (checked.error) {
+    return checked;
+  }
+  try {
+    new RegExp(value);
+    return { value };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+const arrayOf = (item) => (value, path, errors) => {
+  if (!Array.isArray(value)) {
+    return { error: `Expected a list, got ${describe(value)}` };
+  }
+  const result = [];
+  value.forEach((entry, index) => {
+    const checked = validateField(item, entry, `${path}[${index}]`, errors);
+    if (checked !== undefined) {
+      result.push(checked);
+    }
+  });
+  return { value: result };
+};
+
+const recordOf = (item) => (value, path, errors) => {
+  if (!isPlainObject(value)) {
+    return { error: `Expected an object, got ${describe(value)}` };
+  }
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    const checked = validateField(item, entry, `${path}[${JSON.stringify(key)}]`, errors);
+    if (checked !== undefined) {
+      result[key] = checked;
+    }
+  });
+  return { value: result };
+};
+
+// `strict` objects are all-or-nothing: any invalid child rejects the whole object.
+const object = (shape, { allowUnknown = false, required = [], strict = false } = {}) => (
+  value,
+  path,
+  errors
+) => {
+  if (!isPlainObject(value)) {
+    return { error: `Expected an object, got ${describe(value)}` };
+  }
+  const errorCount = errors.length;
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    const childPath = path ? `${path}.${key}` : key;
+    if (!shape[key]) {
+      if (allowUnknown) {
+        result[key] = entry;
+      } else {
+        errors.push({ path: childPath, message: 'Unknown setting, ignored' });
+      }
+      return;
+    }
+    const checked = validateField(shape[key], entry, childPath, errors);
+    if (checked !== undefined) {
+      result[key] = checked;
+    }
+  });
+  if (strict && errors.length > errorCount) {
+    return { error: 'Contains invalid fields' };
+  }
+  const missing = required.find((key) => result[key] === undefined);
+  if (missing) {
+    return { error: `Missing or invalid required field "${missing}"` };
+  }
+  return { value: result };
+};
+
+function validateField(validator, value, path, errors) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const outcome = validator(value, path, errors);
+  if (outcome.error) {
+    errors.push({ path, message: outcome.error, value });
+    return undefined;
+  }
+  return outcome.value;
+}
+
+const processList = arrayOf(string());
+const transformList = arrayOf(oneOf(TRANSFORM_NAMES));
+const triggerMode = oneOf(['selected', 'ctrlkey', 'shortcut']);
+const sensitiveAction = oneOf(SENSITIVE_ACTIONS);
+const bubbleStyle = object({
+  accentColor: string(),
+  textColor: string(),
+  backgroundColor: string()
+});
+
+const configSchema = object({
+  configVersion: number({ min: 1, integer: true }),
+  delayedCopy: object({
+    defaultDelayMs: number({ min: 0, max: 10000 }),
+    apps: recordOf(number({ min: 0, max: 10000 }))
+  }),
+  animations: object({
+    enable: boolean()
+  }),
+  theme: oneOf(['system', 'light', 'dark', 'high-contrast']),
+  language: oneOf(['auto', ...SUPPORTED_LOCALES]),
+  bubbleStyle,
+  bubbleActions: arrayOf(
+    object(
+      {
+        id: string(),
+        type: string(),
+        label: string({ allowEmpty: true }),
+        icon: string({ allowEmpty: true }),
+        enabled: boolean()
+      },
+      { allowUnknown: true, required: ['id'] }
+    )
+  ),
+  citationTemplates: recordOf(string()),
+  textCleanup: object({
+    enabled: boolean(),
+    defaultTransforms: transformList,
+    apps: recordOf(transformList)
+  }),
+  autoLaunch: boolean(),
+  selectionAssistant: object({
+    enabled: boolean(),
+    triggerMode,
+    blacklist: processList,
+    filterMode: oneOf(['blacklist', 'whitelist']),
+    filterList: processList,
+    zoomFactor: number({ min: 0.5, max: 3 }),
+    preferredSide: oneOf(['auto', ...SIDES]),
+    autoHideMs: number({ min: 0, max: 600000, integer: true }),
+    minTextLength: number({ min: 1, integer: true }),
+    maxTextLength: number({ min: 0, integer: true }),
+    ignoreSymbolOnly: boolean(),
+    ignorePatterns: arrayOf(regex()),
+    source: string(),
+    sourceOptions: object({}, { allowUnknown: true })
+  }),
+  appRules: arrayOf(
+    object(
+      {
+        name: string({ allowEmpty: true }),
+        match: object(
+          {
+            process: pattern(),
+            path: pattern(),
+            title: pattern()
+          },
+          { strict: true }
+        ),
+        enabled: boolean(),
+        copyDelayMs: number({ min: 0, max: 10000 }),
+        triggerMode,
+        style: bubbleStyle
+      },
+      { required: ['match'] }
+    )
+  ),
+  logging: object({
+    level: oneOf(['debug', 'info', 'warn', 'error']),
+    maxFileSizeKb: number({ min: 0, integer: true }),
+    maxAgeDays: number({ min: 0 }),
+    maxFiles: number({ min: 0, max: 50, integer: true })
+  }),
+  shortcuts: object({
+    trigger: string({ allowEmpty: true }),
+    copy: string({ allowEmpty: true }),
+    focusBubble: string({ allowEmpty: true }),
+    collect: string({ allowEmpty: true })
+  }),
+  collect: object({
+    separator: oneOf(COLLECT_SEPARATORS),
+    sourceHeaders: boolean()
+  }),
+  history: object({
+    enabled: boolean(),
+    maxEntries: number({ min: 0, integer: true }),
+    maxAgeDays: number({ min: 0 })
+  }),
+  usageStats: object({
+    enabled: boolean(),
+    retentionDays: number({ min: 1, max: 3650, integer: true })
+  }),
+  controlApi: object({
+    enabled: boolean()
+  }),
+  sensitiveContent: object({
+    enabled: boolean(),
+    clearAfterSeconds: number({ min: 1, max: 3600 }),
+    categories: object({
+      card: sensitiveAction,
+      iban: sensitiveAction,
+      nationalId: sensitiveAction,
+      jwt: sensitiveAction,
+      privateKey: sensitiveAction,
+      apiKey: sensitiveAction
+    }),
+    customPatterns: arrayOf(
+      object(
+        {
+          name: string(),
+          pattern: regex(),
+          flags: string({ allowEmpty: true }),
+          action: sensitiveAction
+        },
+        { required: ['name', 'pattern'], strict: true }
+      )
+    )
+  })
+});
+
+/**
+ * Validates a parsed user config. Returns only the fields that passed validation, to be
+ * merged over the defaults, along with one `{ path, message, value }` entry per rejected field.
+ * `config` is null when the document itself is not a config object.
+ */
+const validateConfig = (raw) => {
+  const errors = [];
+  const outcome = configSchema(raw, '', errors);
+  if (outcome.error) {
+    errors.push({ path: '', message: outcome.error });
+    return { config: null, errors };
+  }
+  return { config: outcome.value, errors };
+};
+
+module.exports = {
+  validateConfig
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const net = require('net');
+const path = require('path');
+
+const MAX_LINE_BYTES = 1024 * 1024;
+const TOKEN_BYTES = 32;
+const isWindows = process.platform === 'win32';
+
+const controlError = (code, message) => Object.assign(new Error(message), { code });
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Resolves true when something already accepts connections on `socketPath`.
+const isSocketInUse = (socketPath) =>
+  new Promise((resolve) => {
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.once('error', () => resolve(false));
+  });
+
+const tokensMatch = (expected, received) => {
+  if (typeof received !== 'string') {
+    return false;
+  }
+  const left = Buffer.from(expected);
+  const right = Buffer.from(received);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Local JSON control API on a Unix domain socket, or a named pipe on Windows; it never listens
+ * on the network. Messages are newline-delimited JSON: requests `{ id, method, params }`,
+ * replies `{ id, result }` or `{ id, error: { code, message } }`, and `{ event, data }` for
+ * subscribed events.
+ *
+ * Every connection must first call `authenticate` with the token stored at `tokenPath`, which
+ * is rewritten on each start and readable only by the current user. Named pipes cannot be
+ * restricted from Node, so the token is what keeps other accounts out.
+ */
+class ControlServer {
+  constructor(options) {
+    this.socketPath = options.socketPath;
+    this.tokenPath = options.tokenPath;
+    this.methods = options.methods || {};
+    this.events = options.events || [];
+    this.logger = options.logger || { info: () => {}, error: () => {} };
+
+    this.server = null;
+    this.token = null;
+    this.clients = new Set();
+  }
+
+  isRunning() {
+    return Boolean(this.server);
+  }
+
+  async start() {
+    if (this.server) {
+      return;
+    }
+
+    this.token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    await fs.mkdir(path.dirname(this.tokenPath), { recursive: true });
+    await fs.writeFile(this.tokenPath, `${this.token}\n`, { encoding: 'utf-8', mode: 0o600 });
+    // `mode` only applies when the file is created.
+    await fs.chmod(this.tokenPath, 0o600);
+
+    if (!isWindows) {
+      if (await isSocketInUse(this.socketPath)) {
+        throw controlError('in-use', `Another process is listening on ${this.socketPath}`);
+      }
+      // Left behind by a previous run that did not shut down cleanly.
+      await fs.rm(this.socketPath, { force: true });
+    }
+
+    const server = net.createServer((socket) => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.socketPath, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    server.on('error', (error) => this.logger.error(error));
+    this.server = server;
+
+    if (!isWindows) {
+      await fs.chmod(this.socketPath, 0o600);
+    }
+    this.logger.info(`Control API listening on ${this.socketPath}`);
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    this.clients.forEach((client) => client.socket.destroy());
+    this.clients.clear();
+    await new Promise((resolve) => server.close(() => resolve()));
+    await fs.rm(this.tokenPath, { force: true }).catch(() => {});
+    this.token = null;
+    this.logger.info('Control API stopped');
+  }
+
+  broadcast(event, data) {
+    this.clients.forEach((client) => {
+      if (client.subscriptions.has(event)) {
+        this.send(client, { event, data });
+      }
+    });
+  }
+
+  send(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  handleConnection(socket) {
+    const client = {
+      socket,
+      authenticated: false,
+      subscriptions: new Set(),
+      buffer: '',
+      queue: Promise.resolve()
+    };
+    this.clients.add(client);
+    socket.setEncoding('utf-8');
+
+    socket.on('data', (chunk) => {
+      client.buffer += chunk;
+      let newline = client.buffer.indexOf('\n');
+      while (newline !== -1) {
+        const line = client.buffer.slice(0, newline).trim();
+        client.buffer = client.buffer.slice(newline + 1);
+        if (line) {
+          this.handleLine(client, line);
+        }
+        newline = client.buffer.indexOf('\n');
+      }
+      if (client.buffer.length > MAX_LINE_BYTES) {
+        this.send(client, { id: null, error: { code: 'invalid-request', message: 'Request too large' } });
+        socket.destroy();
+      }
+    });
+    socket.on('close', () => this.clients.delete(client));
+    socket.on('error', () => this.clients.delete(client));
+  }
+
+  handleLine(client, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      this.send(client, { id: null, error: { code: 'invalid-request', message: 'Expected a JSON object' } });
+      return;
+    }
+
+    // Requests on one connection are answered in the order they were sent.
+    const id = isRecord(request) && request.id !== undefined ? request.id : null;
+    client.queue = client.queue
+      .then(() => this.dispatch(client, request))
+      .then((result) => this.send(client, { id, result: result === undefined ? null : result }))
+      .catch((error) => {
+        const code = error.code || 'failed';
+        if (code === 'failed') {
+          this.logger.error(error);
+        }
+        this.send(client, { id, error: { code, message: error.message } });
+      });
+  }
+
+  async dispatch(client, request) {
+    if (!isRecord(request) || typeof request.method !== 'string') {
+      throw controlError('invalid-request', 'Expected { "id", "method", "params" }');
+    }
+    const { method } = request;
+    const params = isRecord(request.params) ? request.params : {};
+
+    if (method === 'authenticate') {
+      if (!tokensMatch(this.token, params.token)) {
+        throw controlError('unauthorized', 'Invalid token');
+      }
+      client.authenticated = true;
+      return { authenticated: true };
+    }
+    if (!client.authenticated) {
+      throw controlError('unauthorized', 'Call "authenticate" first');
+    }
+
+    if (method === 'subscribe' || method === 'unsubscribe') {
+      const requested = Array.isArray(params.events) ? params.events : this.events;
+      const unknown = requested.filter((event) => !this.events.includes(event));
+      if (unknown.length > 0) {
+        throw controlError('invalid-params', `Unknown events: ${unknown.join(', ')}`);
+      }
+      requested.forEach((event) =>
+        method === 'subscribe' ? client.subscriptions.add(event) : client.subscriptions.delete(event)
+      );
+      return { events: [...client.subscriptions] };
+    }
+
+    const handler = this.methods[method];
+    if (typeof handler !== 'function') {
+      throw controlError('unknown-method', `Unknown method "${method}"`);
+    }
+    return handler(params);
+  }
+}
+
+const createControlServer = (options) => new ControlServer(options);
+
+module.exports = {
+  ControlServer,
+  createControlServer,
+  controlError
+};
@@ -0,0 +1,141 @@
+const { app } = require('electron');
+const os = require('os');
+
+// An overlay that stays frozen this long is crashed on purpose so it can be recreated.
+const DEFAULT_HANG_LIMIT_MS = 10000;
+
+const describeError = (error) => {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack, code: error.code };
+  }
+  return { message: String(error) };
+};
+
+/**
+ * Sends everything nobody caught to the log: uncaught exceptions and unhandled rejections in the
+ * main process, renderer and child processes that die, and windows that stop responding. Each
+ * entry carries the window kind and a context (app version, platform, `getContext()` extras such
+ * as the config hash) so it can be matched to a setup.
+ *
+ * Recovery stays with the caller: `onRendererGone(kind, webContents, details)` runs after a
+ * renderer died, `onHang(kind, window)` once a window has been unresponsive for `hangLimitMs`.
+ */
+class ErrorCapture {
+  constructor(options) {
+    this.options = options;
+    this.log = options.log;
+    this.hangLimitMs = options.hangLimitMs || DEFAULT_HANG_LIMIT_MS;
+    this.hangs = new Map();
+    this.installed = false;
+  }
+
+  install() {
+    if (this.installed) {
+      return;
+    }
+    this.installed = true;
+
+    process.on('uncaughtException', (error) => {
+      this.capture('Uncaught exception in main process', error);
+    });
+    process.on('unhandledRejection', (reason) => {
+      this.capture('Unhandled promise rejection in main process', reason);
+    });
+
+    app.on('render-process-gone', (_event, webContents, details) => {
+      this.handleRenderProcessGone(webContents, details);
+    });
+    app.on('child-process-gone', (_event, details) => {
+      if (details.reason !== 'clean-exit') {
+        this.report('error', 'Child process gone', { ...details });
+      }
+    });
+    app.on('browser-window-created', (_event, window) => this.watchWindow(window));
+  }
+
+  getContext() {
+    return {
+      appVersion: app.getVersion(),
+      platform: `${process.platform}-${process.arch}`,
+      osRelease: os.release(),
+      ...this.options.getContext?.()
+    };
+  }
+
+  describe(webContents) {
+    try {
+      return this.options.describeWebContents?.(webContents) || 'unknown';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  report(level, message, meta = {}) {
+    // Logging must never become the next uncaught error.
+    try {
+      return Promise.resolve(this.log(level, message, { ...meta, context: this.getContext() })).catch(() => {});
+    } catch (error) {
+      return Promise.resolve();
+    }
+  }
+
+  capture(message, error, meta = {}) {
+    return this.report('error', message, { ...meta, error: describeError(error) });
+  }
+
+  handleRenderProcessGone(webContents, details) {
+    // `clean-exit` is a window closing normally.
+    if (details.reason === 'clean-exit') {
+      return;
+    }
+    const kind = this.describe(webContents);
+    this.report('error', 'Renderer process gone', {
+      window: kind,
+      reason: details.reason,
+      exitCode: details.exitCode
+    });
+    this.options.onRendererGone?.(kind, webContents, details);
+  }
+
+  watchWindow(window) {
+    window.on('unresponsive', () => {
+      if (this.hangs.has(window)) {
+        return;
+      }
+      const kind = this.describe(window.webContents);
+      const timer = setTimeout(() => {
+        if (this.hangs.has(window) && !window.isDestroyed()) {
+          this.options.onHang?.(kind, window);
+        }
+      }, this.hangLimitMs);
+      this.hangs.set(window, { since: Date.now(), timer });
+      this.report('warn', 'Window is not responding', { window: kind });
+    });
+
+    window.on('responsive', () => {
+      const hang = this.hangs.get(window);
+      if (!hang) {
+        return;
+      }
+      clearTimeout(hang.timer);
+      this.hangs.delete(window);
+      this.report('info', 'Window is responding again', {
+        window: this.describe(window.webContents),
+        durationMs: Date.now() - hang.since
+      });
+    });
+
+    window.on('closed', () => {
+      clearTimeout(this.hangs.get(window)?.timer);
+      this.hangs.delete(window);
+    });
+  }
+}
+
+const createErrorCapture = (options) => new ErrorCapture(options);
+
+module.exports = {
+  createErrorCapture,
+  ErrorCapture,
+  describeError
+};
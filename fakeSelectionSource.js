@@ -0,0 +1,171 @@
+const { EventEmitter } = require('events');
+const { PositionLevel, SELECTION_EVENTS } = require('./selectionSources');
+
+/**
+ * In-process selection source driven by code or by a `script` of steps, for exercising
+ * positioning, filtering, the ctrl-key trigger and hide handling without a native hook.
+ *
+ * Each step is `{ delayMs, type, data }`, where `type` is one of the selection-source events
+ * (or `clear-selection`) and `delayMs` counts from the previous step. With `loop` the script
+ * restarts after the last step.
+ */
+class FakeSelectionSource extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.script = Array.isArray(options.script) ? options.script : [];
+    this.loop = Boolean(options.loop);
+
+    this.started = false;
+    this.passive = false;
+    this.current = null;
+    this.clipboardWrites = [];
+    this.playback = null;
+  }
+
+  start() {
+    this.started = true;
+    if (this.script.length > 0) {
+      this.play(this.script, { loop: this.loop }).catch((error) => this.emit('error', error));
+    }
+    return true;
+  }
+
+  stop() {
+    this.started = false;
+    this.cancelPlayback();
+    return true;
+  }
+
+  cleanup() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
+  setSelectionPassiveMode(passive) {
+    this.passive = Boolean(passive);
+  }
+
+  getCurrentSelection() {
+    return this.current ? { ...this.current } : null;
+  }
+
+  // Writes are recorded for inspection; returning false lets the caller use the real clipboard.
+  writeToClipboard(text) {
+    this.clipboardWrites.push(text);
+    return false;
+  }
+
+  select(selectionData) {
+    this.current = {
+      text: '',
+      programName: '',
+      posLevel: PositionLevel.NONE,
+      ...selectionData
+    };
+    if (!this.passive) {
+      this.emit('text-selection', { ...this.current });
+    }
+  }
+
+  clearSelection() {
+    this.current = null;
+  }
+
+  mouseDown(point = {}) {
+    this.emit('mouse-down', { x: 0, y: 0, ...point });
+  }
+
+  mouseWheel() {
+    this.emit('mouse-wheel', {});
+  }
+
+  keyDown(vkCode) {
+    this.emit('key-down', { vkCode });
+  }
+
+  keyUp(vkCode) {
+    this.emit('key-up', { vkCode });
+  }
+
+  dispatch(step) {
+    const data = step.data || {};
+    switch (step.type) {
+      case 'text-selection':
+        this.select(data);
+        break;
+      case 'clear-selection':
+        this.clearSelection();
+        break;
+      case 'mouse-down':
+        this.mouseDown(data);
+        break;
+      case 'mouse-wheel':
+        this.mouseWheel();
+        break;
+      case 'key-down':
+        this.keyDown(data.vkCode);
+        break;
+      case 'key-up':
+        this.keyUp(data.vkCode);
+        break;
+      default: {
+        const expected = [...SELECTION_EVENTS, 'clear-selection'].join(', ');
+        throw new Error(`Unknown fake selection step "${step.type}", expected one of ${expected}`);
+      }
+    }
+  }
+
+  /** Plays `steps` in order; resolves when done or when playback is cancelled. */
+  play(steps, { loop = false } = {}) {
+    this.cancelPlayback();
+    const playback = { timer: null, cancelled: false, resolve: null };
+    this.playback = playback;
+
+    return new Promise((resolve, reject) => {
+      playback.resolve = resolve;
+      let index = 0;
+
+      const next = () => {
+        if (playback.cancelled) {
+          return;
+        }
+        if (index >= steps.length) {
+          if (!loop || steps.length === 0) {
+            this.playback = null;
+            resolve();
+            return;
+          }
+          index = 0;
+        }
+        const step = steps[index];
+        index += 1;
+        playback.timer = setTimeout(() => {
+          try {
+            this.dispatch(step);
+          } catch (error) {
+            this.playback = null;
+            reject(error);
+            return;
+          }
+          next();
+        }, Math.max(0, Number(step.delayMs) || 0));
+      };
+
+      next();
+    });
+  }
+
+  cancelPlayback() {
+    if (!this.playback) {
+      return;
+    }
+    this.playback.cancelled = true;
+    clearTimeout(this.playback.timer);
+    this.playback.resolve();
+    this.playback = null;
+  }
+}
+
+module.exports = {
+  FakeSelectionSource
+};
@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_AGE_DAYS = 30;
+const PERSIST_DELAY_MS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoryStore extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.filePath = options.filePath;
+    this.entries = [];
+    this.enabled = true;
+    this.maxEntries = DEFAULT_MAX_ENTRIES;
+    this.maxAgeDays = DEFAULT_MAX_AGE_DAYS;
+    this.persistTimer = null;
+  }
+
+  updateConfig(config = {}) {
+    this.enabled = config.enabled !== false;
+    const maxEntries = Number(config.maxEntries);
+    this.maxEntries = Number.isFinite(maxEntries) && maxEntries >= 0 ? Math.floor(maxEntries) : DEFAULT_MAX_ENTRIES;
+    const maxAgeDays = Number(config.maxAgeDays);
+    this.maxAgeDays = Number.isFinite(maxAgeDays) && maxAgeDays >= 0 ? maxAgeDays : DEFAULT_MAX_AGE_DAYS;
+
+    if (this.prune()) {
+      this.schedulePersist();
+      this.emit('changed');
+    }
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(raw);
+      this.entries = Array.isArray(parsed.entries) ? parsed.entries.filter(isValidEntry) : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logError(error);
+      }
+      this.entries = [];
+    }
+
+    if (this.prune()) {
+      this.schedulePersist();
+    }
+  }
+
+  add({ text, program } = {}) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) {
+      return null;
+    }
+
+    const normalizedProgram = typeof program === 'string' ? program.toLowerCase() : '';
+    const latest = this.entries[0];
+    let entry;
+
+    if (latest && latest.text === text && latest.program === normalizedProgram) {
+      latest.timestamp = Date.now();
+      entry = latest;
+    } else {
+      entry = {
+        id: crypto.randomUUID(),
+        text,
+        program: normalizedProgram,
+        timestamp: Date.now()
+      };
+      this.entries.unshift(entry);
+    }
+
+    this.prune();
+    this.schedulePersist();
+    this.emit('changed');
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) || null;
+  }
+
+  list(query = '') {
+    const needle = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    if (!needle) {
+      return [...this.entries];
+    }
+    return this.entries.filter(
+      (entry) => entry.text.toLowerCase().includes(needle) || entry.program.includes(needle)
+    );
+  }
+
+  remove(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.entries.splice(index, 1);
+    this.schedulePersist();
+    this.emit('changed');
+    return true;
+  }
+
+  clear() {
+    this.entries = [];
+    this.schedulePersist();
+    this.emit('changed');
+  }
+
+  prune() {
+    const before = this.entries.length;
+
+    if (this.maxAgeDays > 0) {
+      const cutoff = Date.now() - this.maxAgeDays * DAY_MS;
+      this.entries = this.entries.filter((entry) => entry.timestamp >= cutoff);
+    }
+
+    if (this.maxEntries > 0 && this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(0, this.maxEntries);
+    }
+
+    return this.entries.length !== before;
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch((error) => this.logError(error));
+    }, PERSIST_DELAY_MS);
+  }
+
+  async persist() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const payload = { entries: this.entries };
+    await writeFileAtomic(this.filePath, `${JSON.stringify(payload, null, 2)}\n`);
+  }
+
+  async flush() {
+    if (!this.persistTimer) {
+      return;
+    }
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      await this.persist();
+    } catch (error) {
+      this.logError(error);
+    }
+  }
+
+  // Errors go to the application log through the `logger` the main process passes in.
+  logError(error) {
+    this.options?.logger?.error?.(error);
+  }
+}
+
+function isValidEntry(entry) {
+  return (
+    entry !== null &&
+    typeof entry === 'object' &&
+    typeof entry.id === 'string' &&
+    typeof entry.text === 'string' &&
+    typeof entry.program === 'string' &&
+    Number.isFinite(entry.timestamp)
+  );
+}
+
+function createHistoryStore(options) {
+  return new HistoryStore(options);
+}
+
+module.exports = {
+  createHistoryStore,
+  HistoryStore
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIRECTORY = path.join(__dirname, 'locales');
+const FALLBACK_LOCALE = 'en';
+// Adding a language means adding `locales/<locale>.json` and listing it here.
+const SUPPORTED_LOCALES = ['en', 'zh-CN'];
+
+const messageCache = new Map();
+
+const loadMessages = (locale) => {
+  if (!messageCache.has(locale)) {
+    const filePath = path.join(LOCALES_DIRECTORY, `${locale}.json`);
+    messageCache.set(locale, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  }
+  return messageCache.get(locale);
+};
+
+/**
+ * Picks the locale to use: `requested` when it is a supported locale, otherwise (`auto`) the
+ * closest match for `systemLocale` (`app.getLocale()`), first exactly and then by language, so
+ * `zh-TW` falls back to `zh-CN` and `en-GB` to `en`.
+ */
+const resolveLocale = (requested, systemLocale) => {
+  if (SUPPORTED_LOCALES.includes(requested)) {
+    return requested;
+  }
+  const candidate = String(systemLocale || '').replace(/_/g, '-').toLowerCase();
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === candidate);
+  if (exact) {
+    return exact;
+  }
+  const language = candidate.split('-')[0];
+  return SUPPORTED_LOCALES.find((locale) => locale.split('-')[0].toLowerCase() === language) || FALLBACK_LOCALE;
+};
+
+const formatMessage = (template, values = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+
+/**
+ * `t(key, values)` looks `key` up in the locale file, falling back to English and then to the
+ * key itself, and fills `{name}` placeholders from `values`. `messages` is the merged table
+ * that renderers receive.
+ */
+const createTranslator = (locale) => {
+  const messages = {
+    ...loadMessages(FALLBACK_LOCALE),
+    ...(locale === FALLBACK_LOCALE ? {} : loadMessages(locale))
+  };
+  return {
+    locale,
+    messages,
+    t: (key, values) => formatMessage(messages[key] ?? key, values)
+  };
+};
+
+module.exports = {
+  createTranslator,
+  resolveLocale,
+  SUPPORTED_LOCALES
+};
@@ -0,0 +1,189 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SETTINGS = {
+  level: 'info',
+  maxFileSizeKb: 1024,
+  maxAgeDays: 7,
+  maxFiles: 5
+};
+
+const levelRank = (level) => {
+  const index = LOG_LEVELS.indexOf(level);
+  return index === -1 ? LOG_LEVELS.indexOf('error') : index;
+};
+
+/**
+ * Newline-delimited JSON log with level filtering and rotation. The active file is rotated to
+ * `<name>.1.log` (shifting older ones up) once it exceeds `maxFileSizeKb` or is older than
+ * `maxAgeDays`; only `maxFiles` rotated files are kept.
+ */
+class Logger {
+  constructor(options) {
+    this.directory = options.directory;
+    this.filename = options.filename;
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.queue = Promise.resolve();
+    this.fileState = null;
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  isEnabled(level) {
+    return levelRank(level) >= levelRank(this.settings.level);
+  }
+
+  getFilePath(index = 0) {
+    if (index === 0) {
+      return path.join(this.directory, this.filename);
+    }
+    const { name, ext } = path.parse(this.filename);
+    return path.join(this.directory, `${name}.${index}${ext}`);
+  }
+
+  log(level, message, data = {}) {
+    if (!this.isEnabled(level)) {
+      return this.queue;
+    }
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      data
+    };
+    const line = `${JSON.stringify(entry)}${os.EOL}`;
+    this.queue = this.queue.then(() => this.append(line)).catch((error) => {
+      console.error('Failed to write log entry', error);
+    });
+    return this.queue;
+  }
+
+  async append(line) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const state = await this.getFileState();
+    const bytes = Buffer.byteLength(line);
+
+    const maxBytes = this.settings.maxFileSizeKb * 1024;
+    const tooLarge = maxBytes > 0 && state.size > 0 && state.size + bytes > maxBytes;
+    const maxAgeMs = this.settings.maxAgeDays * DAY_MS;
+    const tooOld = maxAgeMs > 0 && state.size > 0 && Date.now() - state.createdAt > maxAgeMs;
+    if (tooLarge || tooOld) {
+      await this.rotate();
+    }
+
+    await fs.appendFile(this.getFilePath(), line, 'utf-8');
+    this.fileState.size += bytes;
+  }
+
+  async getFileState() {
+    if (this.fileState) {
+      return this.fileState;
+    }
+    try {
+      const stats = await fs.stat(this.getFilePath());
+      this.fileState = { size: stats.size, createdAt: stats.birthtimeMs || stats.mtimeMs };
+    } catch (error) {
+      this.fileState = { size: 0, createdAt: Date.now() };
+    }
+    return this.fileState;
+  }
+
+  async rotate() {
+    // With maxFiles 0 this simply deletes the active file.
+    const maxFiles = Math.max(0, Math.floor(this.settings.maxFiles));
+    await fs.rm(this.getFilePath(maxFiles), { force: true });
+    for (let index = maxFiles - 1; index >= 0; index -= 1) {
+      try {
+        await fs.rename(this.getFilePath(index), this.getFilePath(index + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    this.fileState = { size: 0, createdAt: Date.now() };
+  }
+
+  /** Lists the active file followed by rotated files, newest first. */
+  async listFiles() {
+    const files = [];
+    for (let index = 0; index <= Math.max(0, this.settings.maxFiles); index += 1) {
+      const filePath = this.getFilePath(index);
+      try {
+        await fs.access(filePath);
+        files.push(filePath);
+      } catch (error) {
+        // Missing files are expected for unused rotation slots.
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Reads entries across all files, newest first. `filters` accepts `level` (minimum level),
+   * `scope` (substring of the entry scope), `from` / `to` (ISO timestamps) and `limit`.
+   */
+  async readEntries(filters = {}) {
+    await this.queue;
+    const minimumRank = filters.level ? levelRank(filters.level) : 0;
+    const scopeNeedle = typeof filters.scope === 'string' ? filters.scope.trim().toLowerCase() : '';
+    const from = filters.from ? Date.parse(filters.from) : -Infinity;
+    const to = filters.to ? Date.parse(filters.to) : Infinity;
+    const limit = Number(filters.limit) > 0 ? Number(filters.limit) : 1000;
+
+    const entries = [];
+    for (const filePath of await this.listFiles()) {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf-8');
+      } catch (error) {
+        continue;
+      }
+      const lines = raw.split(/\r?\n/).filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        const time = Date.parse(entry.timestamp);
+        const scope = getEntryScope(entry);
+        if (
+          levelRank(entry.level) < minimumRank ||
+          time < from ||
+          time > to ||
+          (scopeNeedle && !scope.toLowerCase().includes(scopeNeedle))
+        ) {
+          continue;
+        }
+        entries.push({ ...entry, scope });
+        if (entries.length >= limit) {
+          return entries;
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+function getEntryScope(entry) {
+  const data = entry.data || {};
+  const scope = data.scope || data.payload?.scope || '';
+  return typeof scope === 'string' ? scope : '';
+}
+
+function createLogger(options) {
+  return new Logger(options);
+}
+
+module.exports = {
+  createLogger,
+  Logger,
+  LOG_LEVELS
+};
@@ -4,17 +4,41 @@ const {
   Tray,
   Menu,
   clipboard,
+  dialog,
+  globalShortcut,
   nativeImage,
   nativeTheme,
+  screen,
+  Notification,
   ipcMain,
   shell
 } = require('electron');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = require('fs/promises');
 const os = require('os');
 const AutoLaunch = require('auto-launch');
 const { createSelectionService } = require('./selectionService');
+const { createHistoryStore } = require('./historyStore');
+const { cleanupText } = require('./textCleanup');
+const { formatCitation, resolveCitationTemplate } = require('./citation');
+const { validateConfig } = require('./configSchema');
+const { createAppRules } = require('./appRules');
+const { createCollectBuffer } = require('./collectBuffer');
+const { createLogger } = require('./logger');
+const { createZip } = require('./zipArchive');
+const { createSessionRecorder } = require('./selectionSession');
+const { createSelectionFilter } = require('./selectionFilter');
+const { createSensitiveGuard } = require('./sensitiveContent');
+const { CONFIG_VERSION, migrateConfig } = require('./configMigrations');
+const { writeFileAtomic } = require('./atomicWrite');
+const { createControlServer, controlError } = require('./controlServer');
+const { parseCommandLine, createReplyChannel, sendReply } = require('./commandLine');
+const { createUsageStats, USAGE_EVENTS } = require('./usageStats');
+const { createErrorCapture } = require('./errorCapture');
+const { createBackoff } = require('./backoff');
+const { createTranslator, resolveLocale } = require('./i18n');
 
 const isWindows = process.platform === 'win32';
 
@@ -22,16 +46,17 @@ const APP_DIR_NAME = 'SelectionCopy';
 const CONFIG_FILENAME = 'config.json';
 const LOG_DIRNAME = 'logs';
 const LOG_FILENAME = 'application.log';
+const HISTORY_FILENAME = 'history.json';
+const USAGE_STATS_FILENAME = 'usage-stats.json';
+const SESSIONS_DIRNAME = 'sessions';
+const CONTROL_SOCKET_FILENAME = 'control.sock';
+const CONTROL_TOKEN_FILENAME = 'control-token';
+const CONTROL_EVENTS = ['selection', 'copy'];
+const CONFIG_RELOAD_DEBOUNCE_MS = 200;
+const CONFIG_WATCH_RETRY_MS = 2000;
+const CLI_REPLY_TIMEOUT_MS = 5000;
 const DEFAULT_CONFIG = {
-  blacklist: [
-    'excel.exe',
-    'powerpnt.exe',
-    'photoshop.exe',
-    'acad.exe',
-    'mstsc.exe',
-    'snipaste.exe',
-    'illustrator.exe'
-  ],
+  configVersion: CONFIG_VERSION,
   delayedCopy: {
     defaultDelayMs: 0,
     apps: {
@@ -46,28 +71,143 @@ const DEFAULT_CONFIG = {
     enable: true
   },
   theme: 'system',
+  language: 'auto',
   bubbleStyle: {
     accentColor: '#4c82ff',
     textColor: '#ffffff',
     backgroundColor: 'rgba(31, 31, 45, 0.9)'
   },
+  // No `label`: built-in actions take theirs from the active language.
+  bubbleActions: [
+    { id: 'copy', icon: '⧉', enabled: true },
+    { id: 'copy-markdown', icon: 'M↓', enabled: true },
+    { id: 'copy-plain', icon: 'T', enabled: true },
+    {
+      id: 'search',
+      icon: '⌕',
+      enabled: true,
+      urlTemplate: 'https://www.google.com/search?q={query}'
+    },
+    { id: 'open-url', icon: '↗', enabled: true },
+    { id: 'cite', icon: '❝', enabled: true, template: 'markdown' }
+  ],
+  citationTemplates: {},
+  textCleanup: {
+    enabled: true,
+    defaultTransforms: [],
+    apps: {
+      'acrobat.exe': ['dehyphenate', 'joinLines', 'collapseWhitespace'],
+      'acrord32.exe': ['dehyphenate', 'joinLines', 'collapseWhitespace'],
+      'wps.exe': ['dehyphenate', 'joinLines', 'collapseWhitespace'],
+      'wpspdf.exe': ['dehyphenate', 'joinLines', 'collapseWhitespace'],
+      'foxitreader.exe': ['dehyphenate', 'joinLines', 'collapseWhitespace']
+    }
+  },
   autoLaunch: true,
   selectionAssistant: {
     enabled: true,
     triggerMode: 'selected',
+    blacklist: [
+      'excel.exe',
+      'powerpnt.exe',
+      'photoshop.exe',
+      'acad.exe',
+      'mstsc.exe',
+      'snipaste.exe',
+      'illustrator.exe'
+    ],
     filterMode: 'blacklist',
     filterList: [],
-    zoomFactor: 1
+    zoomFactor: 1,
+    preferredSide: 'auto',
+    autoHideMs: 0,
+    minTextLength: 1,
+    maxTextLength: 0,
+    ignoreSymbolOnly: false,
+    ignorePatterns: [],
+    source: 'auto',
+    sourceOptions: {}
+  },
+  appRules: [],
+  sensitiveContent: {
+    enabled: true,
+    clearAfterSeconds: 30,
+    categories: {
+      card: 'hide',
+      iban: 'warn',
+      nationalId: 'warn',
+      jwt: 'hide',
+      privateKey: 'hide',
+      apiKey: 'hide'
+    },
+    customPatterns: []
+  },
+  logging: {
+    level: 'info',
+    maxFileSizeKb: 1024,
+    maxAgeDays: 7,
+    maxFiles: 5
+  },
+  shortcuts: {
+    trigger: 'CommandOrControl+Shift+Space',
+    copy: '',
+    focusBubble: '',
+    collect: ''
+  },
+  collect: {
+    separator: 'newline',
+    sourceHeaders: false
+  },
+  history: {
+    enabled: true,
+    maxEntries: 500,
+    maxAgeDays: 30
+  },
+  usageStats: {
+    enabled: true,
+    retentionDays: 90
+  },
+  controlApi: {
+    enabled: false
   }
 };
 
 let mainWindow;
 let tray;
 let configWatcher;
+let configReloadTimer = null;
+let lastConfigRaw = null;
 let currentConfig = { ...DEFAULT_CONFIG };
+let appRules = createAppRules(currentConfig);
+let sensitiveGuard = createSensitiveGuard(currentConfig.sensitiveContent);
+let selectionFilter = createSelectionFilter(currentConfig.selectionAssistant);
+let hasLoadedConfig = false;
+let lastGoodConfigSerialized = '';
+let lastConfigProblemSignature = '';
+let lastShortcutProblemSignature = '';
+const registeredShortcuts = new Set();
 let autoLauncher;
 let activeWinModule;
 let selectionService;
+let historyStore;
+let usageStats;
+let sessionRecorder = null;
+let clipboardClearTimer = null;
+let pendingClipboardClear = null;
+let pauseState = null;
+let pauseTimer = null;
+let collectMode = false;
+let clipboardBeforeCollect = null;
+const collectBuffer = createCollectBuffer(currentConfig.collect);
+let lastForegroundApp = null;
+let lastForegroundLookupAt = 0;
+let controlServer = null;
+let lastSelection = null;
+let translator = createTranslator('en');
+let configHashSource = null;
+let configHash = '';
+const secondaryWindows = new Map();
+const rendererBackoffs = new Map();
 
 const getActiveWin = async () => {
   if (!activeWinModule) {
@@ -80,11 +220,30 @@ const getActiveWin = async () => {
 const getAppStoragePath = (...segments) =>
   path.join(app.getPath('appData'), APP_DIR_NAME, ...segments);
 
-const getConfigPath = () => getAppStoragePath(CONFIG_FILENAME);
+const cliOptions = parseCommandLine(process.argv.slice(1));
+
+const getConfigPath = () => cliOptions.configPath || getAppStoragePath(CONFIG_FILENAME);
+
+// Files kept next to the config, e.g. `config.last-good.json` for `config.json`.
+const getConfigSiblingPath = (suffix) => {
+  const configPath = getConfigPath();
+  const extension = path.extname(configPath);
+  return path.join(path.dirname(configPath), `${path.basename(configPath, extension)}.${suffix}${extension}`);
+};
+
+const getLastGoodConfigPath = () => getConfigSiblingPath('last-good');
 
 const getLogDirectory = () => getAppStoragePath(LOG_DIRNAME);
 
-const getLogFilePath = () => path.join(getLogDirectory(), LOG_FILENAME);
+const logger = createLogger({ directory: getLogDirectory(), filename: LOG_FILENAME });
+
+const getHistoryFilePath = () => getAppStoragePath(HISTORY_FILENAME);
+
+// Named pipes live in their own namespace on Windows; elsewhere the socket sits next to the config.
+const getControlSocketPath = () =>
+  isWindows
+    ? `\\\\.\\pipe\\${APP_DIR_NAME}-${os.userInfo().username}`
+    : getAppStoragePath(CONTROL_SOCKET_FILENAME);
 
 const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
@@ -111,16 +270,66 @@ const mergeDeep = (base, overrides) => {
 const getSelectionAssistantConfig = () => {
   const selectionConfig = currentConfig.selectionAssistant || {};
   return {
-    blacklist: currentConfig.blacklist || [],
-    selectionFilterMode: selectionConfig.filterMode || 'blacklist',
-    selectionFilterList: selectionConfig.filterList || [],
+    appRules,
+    sensitiveGuard,
+    selectionFilter,
+    source: selectionConfig.source || 'auto',
+    sourceOptions: selectionConfig.sourceOptions || {},
     selectionTriggerMode: selectionConfig.triggerMode || 'selected',
-    zoomFactor: selectionConfig.zoomFactor || 1
+    zoomFactor: selectionConfig.zoomFactor || 1,
+    preferredSide: selectionConfig.preferredSide || 'auto'
+  };
+};
+
+const fetchActiveWindow = async () => {
+  const activeWin = await getActiveWin();
+  const result = await activeWin();
+  if (!result || !result.owner) {
+    return null;
+  }
+  const owner = result.owner;
+  const processName =
+    (owner.processName || owner.name || owner.path || '').split(path.sep).pop()?.toLowerCase() ?? '';
+
+  return {
+    name: owner.name || '',
+    processName,
+    path: owner.path || '',
+    id: owner.processId || null,
+    title: result.title || '',
+    url: result.url || ''
   };
 };
 
+// Window title and path are only looked up when some rule actually matches on them.
+const resolveAppBehavior = async (processName) => {
+  const target = { processName };
+  if (appRules.needsWindowInfo) {
+    try {
+      Object.assign(target, await fetchActiveWindow(), processName ? { processName } : {});
+    } catch (error) {
+      await logMessage('error', 'Failed to fetch active window', { error: error.message });
+    }
+  }
+  return appRules.evaluate(target);
+};
+
+// Always forwarded, even while unavailable, because the config may switch to a usable source.
+const getActiveAppInfo = async () => {
+  try {
+    const info = await fetchActiveWindow();
+    if (!info) {
+      return null;
+    }
+    return { ...info, behavior: appRules.evaluate(info) };
+  } catch (error) {
+    await logMessage('error', 'Failed to fetch active window', { error: error.message });
+    return null;
+  }
+};
+
 const updateSelectionServiceConfig = () => {
-  if (!selectionService || !selectionService.isAvailable()) {
+  if (!selectionService) {
     return;
   }
   selectionService.updateConfig(getSelectionAssistantConfig());
@@ -132,215 +341,959 @@ const syncSelectionServiceState = async () => {
   }
 
   updateSelectionServiceConfig();
-  if (currentConfig.selectionAssistant?.enabled) {
+  if (currentConfig.selectionAssistant?.enabled && !pauseState) {
     await selectionService.start();
   } else {
     selectionService.stop();
   }
 };
 
-const initializeSelectionService = async () => {
-  if (!isWindows) {
+const handleTriggerShortcut = () => {
+  if (!selectionService.showForCurrentSelection()) {
+    logMessage('info', 'Trigger shortcut pressed without a selection').catch(() => {});
+  }
+};
+
+const handleCopyShortcut = async () => {
+  const selectionData = selectionService.getCurrentSelection();
+  const text = typeof selectionData?.text === 'string' ? selectionData.text.trim() : '';
+  if (!text) {
+    return;
+  }
+  const program = (selectionData.programName || '').toLowerCase();
+  const behavior = await resolveAppBehavior(program);
+  if (!behavior.enabled) {
+    return;
+  }
+  // The `hide` policy keeps the text from being copied at all, hotkey or not.
+  const sensitivity = sensitiveGuard.inspect(text);
+  if (sensitivity.action === 'hide') {
+    await logMessage('info', `Copy shortcut refused for sensitive selection (${sensitivity.categories.join(', ')})`);
+    notifyUser('SelectionCopy', t('notify.copyRefused', { categories: describeSensitiveCategories(sensitivity.categories) }));
+    return;
+  }
+  const startedAt = Date.now();
+  if (behavior.copyDelayMs > 0) {
+    await new Promise((resolve) => setTimeout(resolve, behavior.copyDelayMs));
+  }
+  const copied = await copyOrCollect(text, { program });
+  usageStats?.record(copied ? 'copy' : 'copy-failed', { program, latencyMs: Date.now() - startedAt });
+};
+
+const handleCollectShortcut = async () => {
+  await setCollectMode(!collectMode);
+  notifyUser('SelectionCopy', t(collectMode ? 'notify.collectStarted' : 'notify.collectStopped'), 'info');
+};
+
+const handleFocusBubbleShortcut = () => {
+  if (!selectionService.focusToolbar()) {
+    logMessage('info', 'Focus bubble shortcut pressed without a selection').catch(() => {});
+  }
+};
+
+const registerGlobalShortcuts = async () => {
+  registeredShortcuts.forEach((accelerator) => globalShortcut.unregister(accelerator));
+  registeredShortcuts.clear();
+
+  if (!selectionService || !selectionService.isAvailable() || !currentConfig.selectionAssistant?.enabled) {
+    return;
+  }
+
+  const shortcuts = currentConfig.shortcuts || {};
+  const wanted = [];
+  if (appRules.usesTriggerMode('shortcut') && shortcuts.trigger) {
+    wanted.push({ name: 'trigger', accelerator: shortcuts.trigger, handler: handleTriggerShortcut });
+  }
+  if (shortcuts.copy) {
+    wanted.push({ name: 'copy', accelerator: shortcuts.copy, handler: handleCopyShortcut });
+  }
+  if (shortcuts.focusBubble) {
+    wanted.push({ name: 'focusBubble', accelerator: shortcuts.focusBubble, handler: handleFocusBubbleShortcut });
+  }
+  if (shortcuts.collect) {
+    wanted.push({ name: 'collect', accelerator: shortcuts.collect, handler: handleCollectShortcut });
+  }
+
+  const problems = [];
+  wanted.forEach(({ name, accelerator, handler }) => {
+    try {
+      if (globalShortcut.register(accelerator, handler)) {
+        registeredShortcuts.add(accelerator);
+      } else {
+        problems.push({ name, accelerator, message: 'already in use by another application' });
+      }
+    } catch (error) {
+      problems.push({ name, accelerator, message: error.message });
+    }
+  });
+
+  const signature = JSON.stringify(problems);
+  if (signature === lastShortcutProblemSignature) {
     return;
   }
+  lastShortcutProblemSignature = signature;
+  if (problems.length === 0) {
+    return;
+  }
+
+  await logMessage('warn', 'Failed to register global shortcut', { problems });
+  const details = problems.map(
+    ({ name, accelerator, message }) => `shortcuts.${name} (${accelerator}): ${message}`
+  );
+  notifyUser(t('notify.shortcutUnavailable'), details.join('\n'));
+};
 
+const initializeSelectionService = async () => {
   selectionService = createSelectionService({
     debug: !app.isPackaged,
+    sourceDirectory: getAppStoragePath(),
+    getActiveWindow: fetchActiveWindow,
     logger: {
+      debug: (message) => logMessage('debug', message).catch(() => {}),
       info: (message) => logMessage('info', message).catch(() => {}),
       error: (error) => {
-        const payload =
-          error instanceof Error
-            ? { message: error.message, stack: error.stack }
-            : { message: String(error) };
-        logMessage('error', 'SelectionService error', payload).catch(() => {});
+        errorCapture.capture('SelectionService error', error);
       }
     }
   });
 
+  selectionService.on('toolbar-shown', recordSelection);
+
   updateSelectionServiceConfig();
   await syncSelectionServiceState();
+  await registerGlobalShortcuts();
+};
+
+const initializeHistoryStore = async () => {
+  historyStore = createHistoryStore({
+    filePath: getHistoryFilePath(),
+    logger: {
+      error: (error) => {
+        logMessage('error', 'HistoryStore error', { error: error.message }).catch(() => {});
+      }
+    }
+  });
+  historyStore.updateConfig(currentConfig.history);
+  await historyStore.load();
+  historyStore.on('changed', notifyHistoryWindow);
+};
+
+const syncHistoryStoreConfig = () => {
+  if (historyStore) {
+    historyStore.updateConfig(currentConfig.history);
+  }
+};
+
+const notifyHistoryWindow = () => {
+  sendToSecondaryWindow('history', 'selection-copy:history-updated');
+};
+
+const initializeUsageStats = async () => {
+  usageStats = createUsageStats({
+    filePath: getAppStoragePath(USAGE_STATS_FILENAME),
+    logger: {
+      error: (error) => {
+        logMessage('error', 'UsageStats error', { error: error.message }).catch(() => {});
+      }
+    }
+  });
+  usageStats.updateConfig(currentConfig.usageStats);
+  await usageStats.load();
+  usageStats.on('changed', () => sendToSecondaryWindow('stats', 'selection-copy:usage-updated'));
+};
+
+const syncUsageStatsConfig = () => {
+  if (usageStats) {
+    usageStats.updateConfig(currentConfig.usageStats);
+  }
+};
+
+const exportUsageCsv = async (ownerWindow, range) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const { canceled, filePath } = await dialog.showSaveDialog(ownerWindow, {
+    title: t('dialog.exportUsage'),
+    defaultPath: path.join(app.getPath('documents'), `SelectionCopy-usage-${stamp}.csv`),
+    filters: [{ name: 'CSV', extensions: ['csv'] }]
+  });
+  if (canceled || !filePath) {
+    return { ok: false, canceled: true };
+  }
+  try {
+    await fsPromises.writeFile(filePath, usageStats.toCsv(range), 'utf-8');
+    return { ok: true, filePath };
+  } catch (error) {
+    await logMessage('error', 'Failed to export usage statistics', { error: error.message });
+    return { ok: false, error: error.message };
+  }
+};
+
+const mapStrings = (value, transform) => {
+  if (typeof value === 'string') {
+    return transform(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => mapStrings(entry, transform));
+  }
+  if (isRecord(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, mapStrings(entry, transform)])
+    );
+  }
+  return value;
+};
+
+// Card numbers, keys and other sensitive matches never reach the log, whatever their policy.
+const logMessage = async (level, message, meta = {}) =>
+  logger.log(level, sensitiveGuard.redact(message), mapStrings(meta, sensitiveGuard.redact));
+
+// Short fingerprint of the effective config, so error reports from the same setup can be grouped.
+const getConfigHash = () => {
+  if (configHashSource !== currentConfig) {
+    configHashSource = currentConfig;
+    configHash = crypto.createHash('sha256').update(JSON.stringify(currentConfig)).digest('hex').slice(0, 12);
+  }
+  return configHash;
+};
+
+const describeWindowKind = (webContents) => {
+  const toolbarWindow = selectionService?.toolbarWindow;
+  if (toolbarWindow && !toolbarWindow.isDestroyed() && toolbarWindow.webContents === webContents) {
+    return 'overlay';
+  }
+  if (mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents === webContents) {
+    return webContents.getURL().includes('settings.html') ? 'settings' : 'demo';
+  }
+  for (const [kind, window] of secondaryWindows) {
+    if (!window.isDestroyed() && window.webContents === webContents) {
+      return kind;
+    }
+  }
+  return 'unknown';
+};
+
+// Crashed renderers come back after a growing delay, so a page that crashes while loading cannot spin.
+const recoverRenderer = (kind, webContents) => {
+  if (app.isQuiting || kind === 'unknown') {
+    return;
+  }
+  if (!rendererBackoffs.has(kind)) {
+    rendererBackoffs.set(kind, createBackoff({ initialMs: 500, maxMs: 30 * 1000 }));
+  }
+  const delayMs = rendererBackoffs.get(kind).next();
+  logMessage('info', `Restoring ${kind} window in ${delayMs} ms`).catch(() => {});
+  setTimeout(() => {
+    if (app.isQuiting) {
+      return;
+    }
+    if (kind === 'overlay') {
+      selectionService?.recreateToolbarWindow();
+    } else if (!webContents.isDestroyed()) {
+      webContents.reload();
+    }
+  }, delayMs);
 };
 
-const logMessage = async (level, message, meta = {}) => {
+// A frozen overlay sits on top of everything; crashing it hands it to `recoverRenderer`.
+const handleWindowHang = (kind, window) => {
+  if (kind === 'overlay') {
+    window.webContents.forcefullyCrashRenderer();
+  }
+};
+
+const errorCapture = createErrorCapture({
+  log: logMessage,
+  getContext: () => ({ configHash: getConfigHash() }),
+  describeWebContents: describeWindowKind,
+  onRendererGone: recoverRenderer,
+  onHang: handleWindowHang
+});
+
+// Masks the account name in profile paths so exported bundles do not identify the user.
+const redactValue = (value) =>
+  mapStrings(value, (text) => text.replace(/([\\/](?:Users|home)[\\/])[^\\/]+/gi, '$1<user>'));
+
+const exportDiagnostics = async (ownerWindow) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(ownerWindow, {
+    title: t('dialog.exportDiagnostics'),
+    defaultPath: path.join(app.getPath('desktop'), `SelectionCopy-diagnostics-${stamp}.zip`),
+    filters: [{ name: t('dialog.zipArchive'), extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) {
+    return { ok: false, canceled: true };
+  }
+
   try {
-    await fsPromises.mkdir(getLogDirectory(), { recursive: true });
-    const entry = {
-      timestamp: new Date().toISOString(),
-      level,
-      message,
-      data: meta
-    };
-    await fsPromises.appendFile(getLogFilePath(), `${JSON.stringify(entry)}${os.EOL}`, 'utf-8');
+    await logger.queue;
+    const entries = [];
+    for (const logPath of await logger.listFiles()) {
+      entries.push({ name: `logs/${path.basename(logPath)}`, data: await fsPromises.readFile(logPath) });
+    }
+    entries.push({
+      name: 'config.redacted.json',
+      data: `${JSON.stringify(redactValue(currentConfig), null, 2)}\n`
+    });
+    entries.push({
+      name: 'environment.json',
+      data: `${JSON.stringify(
+        {
+          appVersion: app.getVersion(),
+          electron: process.versions.electron,
+          platform: process.platform,
+          arch: process.arch,
+          osRelease: os.release(),
+          exportedAt: new Date().toISOString()
+        },
+        null,
+        2
+      )}\n`
+    });
+    await fsPromises.writeFile(filePath, createZip(entries));
+    await logMessage('info', 'Exported diagnostics bundle', { files: entries.length });
+    return { ok: true, filePath };
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Failed to write log entry', error);
+    await logMessage('error', 'Failed to export diagnostics', { error: error.message });
+    return { ok: false, error: error.message };
   }
 };
 
 const ensureConfigFile = async () => {
   await fsPromises.mkdir(getAppStoragePath(), { recursive: true });
   const configPath = getConfigPath();
+  await fsPromises.mkdir(path.dirname(configPath), { recursive: true });
   try {
     await fsPromises.access(configPath, fs.constants.F_OK);
   } catch (error) {
-    await fsPromises.writeFile(configPath, `${JSON.stringify(DEFAULT_CONFIG, null, 2)}\n`, 'utf-8');
+    // Only the version is written; every other key falls back to DEFAULT_CONFIG until changed.
+    await writeUserConfig({ configVersion: CONFIG_VERSION });
   }
 };
 
-const loadConfigFromDisk = async () => {
+const notifyUser = (title, body, iconType = 'warning') => {
   try {
-    const raw = await fsPromises.readFile(getConfigPath(), 'utf-8');
-    const parsed = JSON.parse(raw);
-    currentConfig = mergeDeep(DEFAULT_CONFIG, parsed);
-    updateSelectionServiceConfig();
+    if (tray && isWindows) {
+      tray.displayBalloon({ title, content: body, iconType });
+      return;
+    }
+    if (Notification.isSupported()) {
+      new Notification({ title, body }).show();
+    }
   } catch (error) {
-    currentConfig = { ...DEFAULT_CONFIG };
-    await logMessage('error', 'Failed to read config file, using defaults', { error: error.message });
-    updateSelectionServiceConfig();
+    logMessage('error', 'Failed to show notification', { error: error.message }).catch(() => {});
   }
 };
 
-const watchConfigFile = async () => {
-  if (configWatcher) {
-    configWatcher.close();
+// `summaryKey` names the locale message saying what happened to the config as a whole.
+const reportConfigProblems = async (problems, summaryKey) => {
+  const signature = JSON.stringify(problems.map(({ path: fieldPath, message }) => [fieldPath, message]));
+  if (signature === lastConfigProblemSignature) {
+    return;
   }
+  lastConfigProblemSignature = signature;
+  if (problems.length === 0) {
+    return;
+  }
+
+  await logMessage('warn', 'Config validation failed', { configPath: getConfigPath(), problems });
+
+  const details = problems
+    .slice(0, 3)
+    .map(({ path: fieldPath, message }) => (fieldPath ? `${fieldPath}: ${message}` : message));
+  if (problems.length > details.length) {
+    details.push(t('notify.configProblemsMore', { count: problems.length - details.length }));
+  }
+  notifyUser(t('notify.configProblem'), `${t(summaryKey)}\n${details.join('\n')}`);
+};
 
+const rememberLastGoodConfig = async (config) => {
+  const serialized = `${JSON.stringify(config, null, 2)}\n`;
+  if (serialized === lastGoodConfigSerialized) {
+    return;
+  }
   try {
-    configWatcher = fs.watch(getConfigPath(), { persistent: false }, async () => {
-      await loadConfigFromDisk();
-      notifyRendererAboutConfig();
-      refreshTrayMenu();
-      await applyAutoLaunchSetting();
-      await syncSelectionServiceState();
-    });
+    await writeFileAtomic(getLastGoodConfigPath(), serialized);
+    lastGoodConfigSerialized = serialized;
   } catch (error) {
-    await logMessage('error', 'Failed to watch config file', { error: error.message });
+    await logMessage('error', 'Failed to store last known good config', { error: error.message });
   }
 };
 
-const notifyRendererAboutConfig = () => {
-  BrowserWindow.getAllWindows().forEach((window) => {
-    if (!window.isDestroyed()) {
-      window.webContents.send('selection-copy:config-updated', currentConfig);
-    }
-  });
+const readLastGoodConfig = async () => {
+  try {
+    const raw = await fsPromises.readFile(getLastGoodConfigPath(), 'utf-8');
+    lastGoodConfigSerialized = raw;
+    return validateConfig(JSON.parse(raw)).config;
+  } catch (error) {
+    return null;
+  }
 };
 
-const showMainWindow = () => {
-  if (!mainWindow) {
-    return;
-  }
-  if (mainWindow.isMinimized()) {
-    mainWindow.restore();
-  }
-  mainWindow.show();
-  mainWindow.focus();
+const applyLoadedConfig = (config) => {
+  currentConfig = mergeDeep(DEFAULT_CONFIG, config);
+  appRules = createAppRules(currentConfig);
+  sensitiveGuard = createSensitiveGuard(currentConfig.sensitiveContent);
+  selectionFilter = createSelectionFilter(currentConfig.selectionAssistant);
+  collectBuffer.configure(currentConfig.collect);
+  logger.configure(currentConfig.logging);
+  hasLoadedConfig = true;
+  updateSelectionServiceConfig();
 };
 
-const trayIconFallback = () => {
-  const pngBuffer = Buffer.from(
-    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAMAAAAoLQ9TAAABF1BMVEUAAAD///////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////+rxJ/qAAAAKXRSTlMAAQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGhscHR4fICEiIyQnKoAyp7IAAAAwSURBVBjTY2AgDVQIhImJiSGKYGEwKikpiWGoYGRsYmBgZGJgYAAWolMBkMNFVQZCOVLYGBgYGZhY2BgYmBi+EAOD8jHK5PnKAAAAAElFTkSuQmCC',
-    'base64'
-  );
-  return nativeImage.createFromBuffer(pngBuffer).resize({ width: 16, height: 16 });
+const writeUserConfig = async (config) => {
+  const serialized = `${JSON.stringify(config, null, 2)}\n`;
+  await writeFileAtomic(getConfigPath(), serialized);
+  lastConfigRaw = serialized;
 };
 
-const getTrayIcon = () => {
-  const iconPath = path.join(__dirname, 'assets', 'tray.png');
-  const image = nativeImage.createFromPath(iconPath);
-  if (image.isEmpty()) {
-    return trayIconFallback();
+// The file as it was before migrating is kept next to it, e.g. `config.v1.backup.json`.
+const persistMigratedConfig = async (raw, { config, fromVersion, applied }) => {
+  const backupPath = getConfigSiblingPath(`v${fromVersion}.backup`);
+  try {
+    await writeFileAtomic(backupPath, raw);
+    await writeUserConfig(config);
+    await logMessage('info', 'Config migrated', { fromVersion, toVersion: CONFIG_VERSION, applied, backupPath });
+  } catch (error) {
+    await logMessage('error', 'Failed to save migrated config', { error: error.message });
   }
-  return image.resize({ width: 16, height: 16 });
 };
 
-const refreshTrayMenu = () => {
-  if (!tray) {
-    return;
+const loadConfigFromDisk = async () => {
+  let validated;
+  let raw;
+  let migration = null;
+  try {
+    raw = await fsPromises.readFile(getConfigPath(), 'utf-8');
+    lastConfigRaw = raw;
+    migration = migrateConfig(JSON.parse(raw));
+    validated = validateConfig(migration.config);
+  } catch (error) {
+    validated = { config: null, errors: [{ path: '', message: error.message }] };
   }
 
-  const contextMenu = Menu.buildFromTemplate([
-    {
-      label: 'Open',
-      click: showMainWindow
-    },
-    {
-      label: 'Settings',
-      click: () => {
-        const folderPath = path.dirname(getConfigPath());
-        shell.openPath(folderPath);
-      }
-    },
-    { type: 'separator' },
-    {
-      label: currentConfig.autoLaunch ? 'Disable Auto Launch' : 'Enable Auto Launch',
-      click: async () => {
-        currentConfig.autoLaunch = !currentConfig.autoLaunch;
-        await fsPromises.writeFile(getConfigPath(), `${JSON.stringify(currentConfig, null, 2)}\n`, 'utf-8');
-        await applyAutoLaunchSetting();
-        refreshTrayMenu();
-      }
-    },
-    { type: 'separator' },
-    {
-      label: 'Quit',
-      click: () => app.quit()
+  if (!validated.config) {
+    // Keep whatever is already running; on startup fall back to the last config that parsed.
+    if (!hasLoadedConfig) {
+      const lastGood = await readLastGoodConfig();
+      applyLoadedConfig(lastGood || {});
     }
-  ]);
+    await reportConfigProblems(
+      validated.errors.map((problem) => ({
+        ...problem,
+        message: `Could not read ${path.basename(getConfigPath())}: ${problem.message}`
+      })),
+      'notify.configKeptLastGood'
+    );
+    return;
+  }
 
-  tray.setContextMenu(contextMenu);
+  if (migration.applied.length > 0) {
+    await persistMigratedConfig(raw, migration);
+  } else if (migration.fromVersion > CONFIG_VERSION) {
+    await logMessage('warn', 'Config was written by a newer version', {
+      configVersion: migration.fromVersion,
+      supportedVersion: CONFIG_VERSION
+    });
+  }
+
+  const { config, errors } = validated;
+  applyLoadedConfig(config);
+  await rememberLastGoodConfig(config);
+  await reportConfigProblems(errors, 'notify.configDefaultsUsed');
 };
 
-const createTray = () => {
-  if (tray) {
-    return;
-  }
-  tray = new Tray(getTrayIcon());
-  tray.setToolTip('SelectionCopy');
-  tray.on('click', showMainWindow);
+const reloadConfig = async () => {
+  await loadConfigFromDisk();
+  await logMessage('debug', 'Config reloaded', { configPath: getConfigPath() });
+  syncLocale();
+  notifyRendererAboutConfig();
   refreshTrayMenu();
+  syncHistoryStoreConfig();
+  syncUsageStatsConfig();
+  await applyAutoLaunchSetting();
+  await syncSelectionServiceState();
+  await registerGlobalShortcuts();
+  await syncControlServer();
 };
 
-const applyAutoLaunchSetting = async () => {
+const readUserConfig = async () => {
   try {
-    if (!autoLauncher) {
-      autoLauncher = new AutoLaunch({
-        name: 'SelectionCopy',
-        path: process.execPath
-      });
-    }
-
-    const isEnabled = await autoLauncher.isEnabled();
-    if (currentConfig.autoLaunch && !isEnabled) {
-      await autoLauncher.enable();
-    } else if (!currentConfig.autoLaunch && isEnabled) {
-      await autoLauncher.disable();
+    const parsed = JSON.parse(await fsPromises.readFile(getConfigPath(), 'utf-8'));
+    if (isRecord(parsed)) {
+      return migrateConfig(parsed).config;
     }
   } catch (error) {
-    await logMessage('error', 'Failed to apply auto launch preference', { error: error.message });
+    // Fall through to the last config that parsed so a broken file can be repaired from the UI.
   }
+  return migrateConfig(lastGoodConfigSerialized ? JSON.parse(lastGoodConfigSerialized) : {}).config;
 };
 
-const createMainWindow = () => {
-  mainWindow = new BrowserWindow({
-    width: 420,
-    height: 380,
-    show: false,
-    autoHideMenuBar: true,
-    webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
-      contextIsolation: true,
-      nodeIntegration: false
+const setAtPath = (target, keyPath, value) => {
+  let cursor = target;
+  keyPath.slice(0, -1).forEach((key) => {
+    if (!isRecord(cursor[key])) {
+      cursor[key] = {};
     }
+    cursor = cursor[key];
   });
+  cursor[keyPath[keyPath.length - 1]] = value;
+};
 
-  mainWindow.loadFile(path.join(__dirname, 'src/index.html'));
+const isWithinPath = (problemPath, keyPath) => {
+  const prefix = keyPath.join('.');
+  return (
+    problemPath === prefix ||
+    problemPath.startsWith(`${prefix}.`) ||
+    problemPath.startsWith(`${prefix}[`)
+  );
+};
+
+/**
+ * Applies `{ path: string[], value }` changes from the settings window to the user's
+ * config file. Changes are validated first and nothing is written if any of them is invalid.
+ */
+const saveSettings = async (changes) => {
+  const isValidChange = (change) =>
+    isRecord(change) &&
+    Array.isArray(change.path) &&
+    change.path.length > 0 &&
+    change.path.every((key) => typeof key === 'string' && key);
+  if (!Array.isArray(changes) || !changes.every(isValidChange)) {
+    return { ok: false, errors: [{ path: '', message: 'Invalid settings request' }] };
+  }
+
+  const userConfig = await readUserConfig();
+  changes.forEach(({ path: keyPath, value }) => setAtPath(userConfig, keyPath, value));
+
+  const { errors } = validateConfig(userConfig);
+  const rejected = errors.filter((problem) =>
+    changes.some(({ path: keyPath }) => isWithinPath(problem.path, keyPath))
+  );
+  if (rejected.length > 0) {
+    return { ok: false, errors: rejected };
+  }
+
+  try {
+    await writeUserConfig(userConfig);
+  } catch (error) {
+    await logMessage('error', 'Failed to save settings', { error: error.message });
+    return { ok: false, errors: [{ path: '', message: error.message }] };
+  }
+
+  await reloadConfig();
+  return { ok: true };
+};
+
+// Editors often save several times in a row or write a new file and rename it over the old
+// one, so events are debounced and a reload only happens when the content actually changed
+// (which also skips the echo of our own writes).
+const scheduleConfigReload = () => {
+  clearTimeout(configReloadTimer);
+  configReloadTimer = setTimeout(async () => {
+    configReloadTimer = null;
+    let raw;
+    try {
+      raw = await fsPromises.readFile(getConfigPath(), 'utf-8');
+    } catch (error) {
+      // Missing while being replaced; the rename that follows fires another event.
+      return;
+    }
+    if (raw !== lastConfigRaw) {
+      await reloadConfig();
+    }
+  }, CONFIG_RELOAD_DEBOUNCE_MS);
+};
+
+// The directory is watched rather than the file, because a watch on the file is lost as soon
+// as the file is replaced.
+const watchConfigFile = async () => {
+  if (configWatcher) {
+    configWatcher.close();
+    configWatcher = null;
+  }
+
+  const retry = () => {
+    setTimeout(() => {
+      watchConfigFile().catch(() => {});
+    }, CONFIG_WATCH_RETRY_MS);
+  };
+
+  try {
+    const configPath = getConfigPath();
+    await fsPromises.mkdir(path.dirname(configPath), { recursive: true });
+    configWatcher = fs.watch(path.dirname(configPath), { persistent: false }, (_eventType, filename) => {
+      if (!filename || filename === path.basename(configPath)) {
+        scheduleConfigReload();
+      }
+    });
+    configWatcher.on('error', (error) => {
+      logMessage('warn', 'Config watcher stopped, restarting', { error: error.message }).catch(() => {});
+      retry();
+    });
+  } catch (error) {
+    await logMessage('error', 'Failed to watch config directory', { error: error.message });
+    retry();
+  }
+};
+
+const t = (key, values) => translator.t(key, values);
+
+// Custom pattern names have no translation and are shown as they are.
+const describeSensitiveCategories = (categories) =>
+  categories
+    .map((category) => (translator.messages[`sensitive.${category}`] ? t(`sensitive.${category}`) : category))
+    .join(t('bubble.sensitive.separator'));
+
+const getLocalePayload = () => ({ locale: translator.locale, messages: translator.messages });
+
+// `language: "auto"` follows `app.getLocale()`; every window and the tray switch as soon as it changes.
+const syncLocale = () => {
+  const locale = resolveLocale(currentConfig.language, app.getLocale());
+  if (locale === translator.locale) {
+    return;
+  }
+  translator = createTranslator(locale);
+  BrowserWindow.getAllWindows().forEach((window) => {
+    if (!window.isDestroyed()) {
+      window.webContents.send('selection-copy:locale-updated', getLocalePayload());
+    }
+  });
+  retitleSecondaryWindows();
+  updateTrayStatus();
+};
+
+const notifyRendererAboutConfig = () => {
+  BrowserWindow.getAllWindows().forEach((window) => {
+    if (!window.isDestroyed()) {
+      window.webContents.send('selection-copy:config-updated', currentConfig);
+    }
+  });
+};
+
+const MAIN_WINDOW_VIEWS = {
+  demo: 'src/index.html',
+  settings: 'src/settings.html'
+};
+
+const showMainWindow = (view) => {
+  if (!mainWindow) {
+    return;
+  }
+  const viewFile = MAIN_WINDOW_VIEWS[view];
+  if (viewFile) {
+    const currentUrl = mainWindow.webContents.getURL();
+    if (!currentUrl.endsWith(path.basename(viewFile))) {
+      mainWindow.loadFile(path.join(__dirname, viewFile));
+    }
+    if (view === 'settings') {
+      const [width, height] = mainWindow.getSize();
+      mainWindow.setSize(Math.max(width, 560), Math.max(height, 680));
+    }
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+};
+
+const trayIconFallback = () => {
+  const pngBuffer = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAMAAAAoLQ9TAAABF1BMVEUAAAD///////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////+rxJ/qAAAAKXRSTlMAAQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGhscHR4fICEiIyQnKoAyp7IAAAAwSURBVBjTY2AgDVQIhImJiSGKYGEwKikpiWGoYGRsYmBgZGJgYAAWolMBkMNFVQZCOVLYGBgYGZhY2BgYmBi+EAOD8jHK5PnKAAAAAElFTkSuQmCC',
+    'base64'
+  );
+  return nativeImage.createFromBuffer(pngBuffer).resize({ width: 16, height: 16 });
+};
+
+// The paused icon is the regular one desaturated and at half opacity.
+const dimTrayIcon = (image) => {
+  const size = image.getSize();
+  const bitmap = Buffer.from(image.toBitmap());
+  for (let offset = 0; offset < bitmap.length; offset += 4) {
+    const gray = Math.round((bitmap[offset] + bitmap[offset + 1] + bitmap[offset + 2]) / 3);
+    bitmap[offset] = gray;
+    bitmap[offset + 1] = gray;
+    bitmap[offset + 2] = gray;
+    bitmap[offset + 3] = Math.round(bitmap[offset + 3] / 2);
+  }
+  return nativeImage.createFromBitmap(bitmap, size);
+};
+
+const getTrayIcon = ({ paused = false } = {}) => {
+  const iconPath = path.join(__dirname, 'assets', 'tray.png');
+  const image = nativeImage.createFromPath(iconPath);
+  const icon = image.isEmpty() ? trayIconFallback() : image.resize({ width: 16, height: 16 });
+  return paused ? dimTrayIcon(icon) : icon;
+};
+
+const describePause = () => {
+  if (!pauseState) {
+    return '';
+  }
+  if (!pauseState.until) {
+    return t('pause.untilRestart');
+  }
+  const time = new Date(pauseState.until).toLocaleTimeString(translator.locale, { hour: '2-digit', minute: '2-digit' });
+  return t('pause.until', { time });
+};
+
+const updateTrayStatus = () => {
+  if (!tray) {
+    return;
+  }
+  tray.setImage(getTrayIcon({ paused: Boolean(pauseState) }));
+  const statuses = [
+    describePause(),
+    collectMode ? t('collect.status', { count: collectBuffer.count }) : ''
+  ].filter(Boolean);
+  tray.setToolTip(
+    statuses.length > 0
+      ? t('tray.tooltipStatus', { status: statuses.join(t('tray.statusSeparator')) })
+      : t('tray.tooltip')
+  );
+};
+
+const resumeSelectionAssistant = async () => {
+  clearTimeout(pauseTimer);
+  pauseTimer = null;
+  if (!pauseState) {
+    return;
+  }
+  pauseState = null;
+  await logMessage('info', 'Selection assistant resumed');
+  updateTrayStatus();
+  refreshTrayMenu();
+  await syncSelectionServiceState();
+};
+
+// `durationMs` of null pauses until the app restarts; pause state is never written to config.
+const pauseSelectionAssistant = async (durationMs) => {
+  clearTimeout(pauseTimer);
+  pauseTimer = null;
+  pauseState = { until: durationMs ? Date.now() + durationMs : null };
+  if (durationMs) {
+    pauseTimer = setTimeout(() => {
+      resumeSelectionAssistant().catch(() => {});
+    }, durationMs);
+  }
+  if (selectionService) {
+    selectionService.stop();
+  }
+  await logMessage('info', 'Selection assistant paused', { until: pauseState.until });
+  updateTrayStatus();
+  refreshTrayMenu();
+};
+
+const FOREGROUND_APP_MAX_AGE_MS = 60 * 1000;
+const FOREGROUND_APP_REFRESH_MS = 1000;
+
+// Our own windows and untitled shell surfaces (taskbar, desktop) are never "the current app".
+const isForegroundCandidate = (info) =>
+  Boolean(info?.processName && info.title) &&
+  !app.getAppMetrics().some((metric) => metric.pid === info.id);
+
+// Opening the tray menu can move focus to the taskbar, so the app that was in front when the
+// pointer reached the tray icon is remembered and preferred over a fresh lookup.
+const rememberForegroundApp = async () => {
+  if (Date.now() - lastForegroundLookupAt < FOREGROUND_APP_REFRESH_MS) {
+    return;
+  }
+  lastForegroundLookupAt = Date.now();
+  const info = await getActiveAppInfo();
+  if (isForegroundCandidate(info)) {
+    lastForegroundApp = { ...info, seenAt: Date.now() };
+  }
+};
+
+const disableForCurrentApp = async () => {
+  let target = lastForegroundApp;
+  if (!target || Date.now() - target.seenAt > FOREGROUND_APP_MAX_AGE_MS) {
+    const info = await getActiveAppInfo();
+    target = isForegroundCandidate(info) ? info : null;
+  }
+  if (!target?.processName) {
+    notifyUser('SelectionCopy', t('notify.unknownApp'));
+    return;
+  }
+
+  const { processName } = target;
+  const blacklist = currentConfig.selectionAssistant?.blacklist || [];
+  if (blacklist.some((entry) => entry.toLowerCase() === processName)) {
+    notifyUser('SelectionCopy', t('notify.alreadyDisabled', { app: processName }), 'info');
+    return;
+  }
+
+  const result = await saveSettings([
+    { path: ['selectionAssistant', 'blacklist'], value: [...blacklist, processName] }
+  ]);
+  if (!result.ok) {
+    await logMessage('error', 'Failed to disable for current app', { processName, errors: result.errors });
+    notifyUser('SelectionCopy', t('notify.disableFailed', { app: processName }));
+    return;
+  }
+  await logMessage('info', 'Disabled for current app', { processName });
+  notifyUser('SelectionCopy', t('notify.disabled', { app: processName }), 'info');
+};
+
+const toggleSessionRecording = async () => {
+  if (sessionRecorder) {
+    const recorder = sessionRecorder;
+    sessionRecorder = null;
+    refreshTrayMenu();
+    try {
+      const filePath = await recorder.save(getAppStoragePath(SESSIONS_DIRNAME));
+      await logMessage('info', 'Selection session saved', { filePath });
+      notifyUser(t('notify.sessionSaved'), filePath, 'info');
+      shell.showItemInFolder(filePath);
+    } catch (error) {
+      await logMessage('error', 'Failed to save selection session', { error: error.message });
+    }
+    return;
+  }
+
+  sessionRecorder = createSessionRecorder({
+    service: selectionService,
+    screen,
+    getActiveWindow: fetchActiveWindow,
+    config: currentConfig
+  });
+  sessionRecorder.start();
+  await logMessage('info', 'Selection session recording started');
+  refreshTrayMenu();
+};
+
+const refreshTrayMenu = () => {
+  if (!tray) {
+    return;
+  }
+
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: t('tray.open'),
+      click: () => showMainWindow()
+    },
+    {
+      label: t('tray.history'),
+      click: () => openSecondaryWindow('history')
+    },
+    {
+      label: t('tray.logs'),
+      click: () => openSecondaryWindow('logs')
+    },
+    {
+      label: t('tray.statistics'),
+      click: () => openSecondaryWindow('stats')
+    },
+    {
+      label: t('tray.settings'),
+      click: () => showMainWindow('settings')
+    },
+    {
+      label: t('tray.recordSession'),
+      type: 'checkbox',
+      checked: Boolean(sessionRecorder),
+      enabled: Boolean(selectionService?.isAvailable()),
+      click: toggleSessionRecording
+    },
+    { type: 'separator' },
+    pauseState
+      ? {
+          label: t('tray.resume', { status: describePause() }),
+          click: resumeSelectionAssistant
+        }
+      : {
+          label: t('tray.pause'),
+          enabled: Boolean(selectionService?.isAvailable()),
+          submenu: [
+            { label: t('tray.pauseFor15Minutes'), click: () => pauseSelectionAssistant(15 * 60 * 1000) },
+            { label: t('tray.pauseFor1Hour'), click: () => pauseSelectionAssistant(60 * 60 * 1000) },
+            { label: t('tray.pauseUntilRestart'), click: () => pauseSelectionAssistant(null) }
+          ]
+        },
+    {
+      label: t('tray.disableForCurrentApp'),
+      click: disableForCurrentApp
+    },
+    {
+      label: t('tray.collect'),
+      type: 'checkbox',
+      checked: collectMode,
+      click: () => setCollectMode(!collectMode)
+    },
+    { type: 'separator' },
+    {
+      label: currentConfig.autoLaunch ? t('tray.disableAutoLaunch') : t('tray.enableAutoLaunch'),
+      click: () => saveSettings([{ path: ['autoLaunch'], value: !currentConfig.autoLaunch }])
+    },
+    { type: 'separator' },
+    {
+      label: t('tray.quit'),
+      click: () => app.quit()
+    }
+  ]);
+
+  tray.setContextMenu(contextMenu);
+};
+
+const createTray = () => {
+  if (tray) {
+    return;
+  }
+  tray = new Tray(getTrayIcon());
+  tray.on('click', () => showMainWindow());
+  tray.on('mouse-move', () => {
+    rememberForegroundApp().catch(() => {});
+  });
+  updateTrayStatus();
+  refreshTrayMenu();
+};
+
+const applyAutoLaunchSetting = async () => {
+  try {
+    if (!autoLauncher) {
+      autoLauncher = new AutoLaunch({
+        name: 'SelectionCopy',
+        path: process.execPath,
+        // Starts with `--hidden` so logging in does not pop up the main window.
+        isHidden: true
+      });
+    }
+
+    const isEnabled = await autoLauncher.isEnabled();
+    if (currentConfig.autoLaunch && !isEnabled) {
+      await autoLauncher.enable();
+    } else if (!currentConfig.autoLaunch && isEnabled) {
+      await autoLauncher.disable();
+    }
+  } catch (error) {
+    await logMessage('error', 'Failed to apply auto launch preference', { error: error.message });
+  }
+};
+
+const createMainWindow = () => {
+  mainWindow = new BrowserWindow({
+    width: 420,
+    height: 380,
+    show: false,
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+
+  mainWindow.loadFile(path.join(__dirname, 'src/index.html'));
+
+  // Links in the demo text open in the browser instead of replacing the app page.
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    if (!url.startsWith('file:')) {
+      event.preventDefault();
+      openExternalUrl(url);
+    }
+  });
 
   mainWindow.webContents.on('did-finish-load', () => {
     notifyRendererAboutConfig();
-    const mode = nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
-    mainWindow.webContents.send('selection-copy:native-theme', mode);
   });
 
   mainWindow.on('close', (event) => {
@@ -352,36 +1305,485 @@ const createMainWindow = () => {
   });
 
   mainWindow.once('ready-to-show', () => {
-    mainWindow.show();
+    if (!cliOptions.hidden) {
+      mainWindow.show();
+    }
   });
 };
 
-const setupIpc = () => {
-  ipcMain.handle('selection-copy:read-config', async () => currentConfig);
+const SECONDARY_WINDOWS = {
+  history: { file: 'src/history.html', titleKey: 'window.history', width: 520, height: 560 },
+  logs: { file: 'src/logs.html', titleKey: 'window.logs', width: 780, height: 580 },
+  stats: { file: 'src/stats.html', titleKey: 'window.stats', width: 760, height: 640 }
+};
 
-  ipcMain.handle('selection-copy:get-active-app', async () => {
-    try {
-      const activeWin = await getActiveWin();
-      const result = await activeWin();
-      if (!result || !result.owner) {
-        return null;
+const retitleSecondaryWindows = () => {
+  secondaryWindows.forEach((window, kind) => {
+    if (!window.isDestroyed()) {
+      window.setTitle(t(SECONDARY_WINDOWS[kind].titleKey));
+    }
+  });
+};
+
+const openSecondaryWindow = (kind) => {
+  const existing = secondaryWindows.get(kind);
+  if (existing && !existing.isDestroyed()) {
+    if (existing.isMinimized()) {
+      existing.restore();
+    }
+    existing.show();
+    existing.focus();
+    return;
+  }
+
+  const { file, titleKey, width, height } = SECONDARY_WINDOWS[kind];
+  const window = new BrowserWindow({
+    width,
+    height,
+    show: false,
+    autoHideMenuBar: true,
+    title: t(titleKey),
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+  secondaryWindows.set(kind, window);
+  // The title follows the UI language from here, not the page's `<title>`.
+  window.on('page-title-updated', (event) => event.preventDefault());
+
+  window.loadFile(path.join(__dirname, file));
+
+  window.once('ready-to-show', () => {
+    window.show();
+  });
+
+  window.on('closed', () => {
+    secondaryWindows.delete(kind);
+  });
+};
+
+const sendToSecondaryWindow = (kind, channel, ...args) => {
+  const window = secondaryWindows.get(kind);
+  if (window && !window.isDestroyed()) {
+    window.webContents.send(channel, ...args);
+  }
+};
+
+const EXTERNAL_PROTOCOLS = new Set(['http:', 'https:']);
+
+const openExternalUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    return false;
+  }
+  if (!EXTERNAL_PROTOCOLS.has(url.protocol)) {
+    await logMessage('error', 'Blocked external URL with unsupported protocol', { protocol: url.protocol });
+    return false;
+  }
+  try {
+    await shell.openExternal(url.toString());
+    return true;
+  } catch (error) {
+    await logMessage('error', 'Failed to open external URL', { error: error.message });
+    return false;
+  }
+};
+
+const writeClipboardText = async (text) => {
+  if (selectionService && selectionService.isAvailable() && selectionService.writeToClipboard(text)) {
+    return true;
+  }
+  try {
+    clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    await logMessage('error', 'Failed to write clipboard via fallback', { error: error.message });
+    return false;
+  }
+};
+
+// Rich copies bypass the selection source, whose clipboard API only takes plain text.
+const writeClipboardFormats = async ({ text, html, rtf }) => {
+  try {
+    clipboard.write({ text, html, ...(rtf ? { rtf } : {}) });
+    return true;
+  } catch (error) {
+    await logMessage('error', 'Failed to write rich clipboard data', { error: error.message });
+    return writeClipboardText(text);
+  }
+};
+
+// Clears the clipboard after a sensitive copy, unless something else was copied meanwhile.
+const scheduleClipboardClear = (text, categories) => {
+  clearTimeout(clipboardClearTimer);
+  const clear = () => {
+    clipboardClearTimer = null;
+    pendingClipboardClear = null;
+    if (clipboard.readText() === text) {
+      clipboard.clear();
+      logMessage('info', 'Cleared sensitive clipboard content', { categories }).catch(() => {});
+    }
+  };
+  pendingClipboardClear = clear;
+  clipboardClearTimer = setTimeout(clear, sensitiveGuard.clearAfterSeconds * 1000);
+};
+
+// Cleanup steps such as joinLines would break Markdown structure or a filled-in citation.
+const cleanupCopiedText = (text, meta = {}) =>
+  meta?.format === 'markdown' || meta?.format === 'citation'
+    ? text
+    : cleanupText(text, meta?.program, currentConfig.textCleanup) || text;
+
+// Looked up only when a citation is requested. A window of some other program (e.g. after the
+// focus hotkey put SelectionCopy in front) would give the wrong title, so it is left out.
+const getCitationWindow = async (program) => {
+  const activeWindow = await fetchActiveWindow().catch(() => null);
+  return !program || activeWindow?.processName === program.toLowerCase() ? activeWindow : null;
+};
+
+// `meta.citation` names a template from `citationTemplates` or a built-in preset; the selection
+// is cleaned up before it goes into the template.
+const citeText = async (text, meta) => {
+  const program = meta.program || '';
+  const activeWindow = await getCitationWindow(program);
+  const cited = formatCitation(resolveCitationTemplate(meta.citation, currentConfig.citationTemplates), {
+    text: cleanupCopiedText(text, { program }),
+    program: program || activeWindow?.processName || '',
+    windowTitle: activeWindow?.title || '',
+    url: activeWindow?.url || '',
+    date: new Date()
+  });
+  return { text: cited, meta: { program, format: 'citation' } };
+};
+
+// Bookkeeping once `text` is on the clipboard. In collect mode the clipboard holds
+// `clipboardText`, every collected entry, so that is what a sensitive match clears.
+const recordCopy = (text, program, clipboardText = text) => {
+  const sensitivity = sensitiveGuard.inspect(clipboardText);
+  if (sensitivity.action === 'clear') {
+    scheduleClipboardClear(clipboardText, sensitivity.categories);
+  }
+  // Anything flagged stays out of the history, even with the `warn` policy.
+  const flagged = clipboardText === text ? sensitivity : sensitiveGuard.inspect(text);
+  if (historyStore && flagged.categories.length === 0) {
+    historyStore.add({ text, program });
+  }
+  controlServer?.broadcast('copy', describeForControl(text, program));
+};
+
+const copyText = async (text, meta = {}) => {
+  const cleaned = cleanupCopiedText(text, meta);
+  const html = typeof meta?.html === 'string' && meta.html ? meta.html : null;
+  const copied = html
+    ? await writeClipboardFormats({ text: cleaned, html, rtf: typeof meta.rtf === 'string' ? meta.rtf : '' })
+    : await writeClipboardText(cleaned);
+  if (!copied) {
+    return false;
+  }
+  recordCopy(cleaned, meta?.program);
+  return true;
+};
+
+const getCollectState = () => ({ active: collectMode, count: collectBuffer.count });
+
+const notifyCollectState = () => {
+  BrowserWindow.getAllWindows().forEach((window) => {
+    if (!window.isDestroyed()) {
+      window.webContents.send('selection-copy:collect-updated', getCollectState());
+    }
+  });
+  updateTrayStatus();
+  refreshTrayMenu();
+};
+
+// Like a pause, collect mode lasts for the session and is never written to config. Switching it
+// either way starts from an empty buffer; the clipboard keeps whatever was collected.
+const setCollectMode = async (active) => {
+  if (collectMode === active) {
+    return;
+  }
+  collectMode = active;
+  collectBuffer.clear();
+  clipboardBeforeCollect = null;
+  await logMessage('info', active ? 'Collect mode started' : 'Collect mode stopped');
+  notifyCollectState();
+};
+
+// What the clipboard held before the first entry of a buffer, put back once the buffer is
+// emptied again so that undo and clear never lose it.
+const readClipboardSnapshot = () => ({
+  text: clipboard.readText(),
+  html: clipboard.readHTML(),
+  rtf: clipboard.readRTF(),
+  image: clipboard.readImage()
+});
+
+const restoreClipboardSnapshot = (snapshot) => {
+  const data = {
+    ...(snapshot?.text ? { text: snapshot.text } : {}),
+    ...(snapshot?.html ? { html: snapshot.html } : {}),
+    ...(snapshot?.rtf ? { rtf: snapshot.rtf } : {}),
+    ...(snapshot?.image && !snapshot.image.isEmpty() ? { image: snapshot.image } : {})
+  };
+  try {
+    if (Object.keys(data).length > 0) {
+      clipboard.write(data);
+    } else {
+      clipboard.clear();
+    }
+  } catch (error) {
+    logMessage('error', 'Failed to restore the clipboard', { error: error.message }).catch(() => {});
+  }
+};
+
+// Collected entries go on the clipboard as plain text; formats do not combine.
+const collectText = async (text, meta = {}) => {
+  const cleaned = cleanupCopiedText(text, meta);
+  const snapshot = collectBuffer.count === 0 ? readClipboardSnapshot() : clipboardBeforeCollect;
+  const combined = collectBuffer.append(cleaned, meta?.program);
+  if (!(await writeClipboardText(combined))) {
+    collectBuffer.undo();
+    return false;
+  }
+  clipboardBeforeCollect = snapshot;
+  recordCopy(cleaned, meta?.program, combined);
+  notifyCollectState();
+  return true;
+};
+
+const undoLastCollected = async () => {
+  if (collectBuffer.count === 0) {
+    return getCollectState();
+  }
+  const combined = collectBuffer.undo();
+  if (combined) {
+    await writeClipboardText(combined);
+  } else {
+    restoreClipboardSnapshot(clipboardBeforeCollect);
+    clipboardBeforeCollect = null;
+  }
+  notifyCollectState();
+  return getCollectState();
+};
+
+const clearCollected = () => {
+  if (collectBuffer.count > 0) {
+    collectBuffer.clear();
+    restoreClipboardSnapshot(clipboardBeforeCollect);
+    clipboardBeforeCollect = null;
+  }
+  notifyCollectState();
+  return getCollectState();
+};
+
+// Copies requested from the bubble or the copy hotkey; the control API always copies.
+const copyOrCollect = async (text, meta) => {
+  const payload = typeof meta?.citation === 'string' ? await citeText(text, meta) : { text, meta };
+  return collectMode ? collectText(payload.text, payload.meta) : copyText(payload.text, payload.meta);
+};
+
+// Text that matched a sensitive-content detector is never handed to control API clients.
+const describeForControl = (text, program) => {
+  const { categories } = sensitiveGuard.inspect(text);
+  return {
+    text: categories.length > 0 ? null : text,
+    program: program || '',
+    sensitive: categories,
+    at: new Date().toISOString()
+  };
+};
+
+const recordSelection = ({ text, program }) => {
+  lastSelection = describeForControl(text, program);
+  controlServer?.broadcast('selection', lastSelection);
+};
+
+const getControlStatus = () => ({
+  version: app.getVersion(),
+  enabled: Boolean(currentConfig.selectionAssistant?.enabled),
+  available: Boolean(selectionService?.isAvailable()),
+  running: Boolean(selectionService?.started),
+  paused: pauseState ? { until: pauseState.until ? new Date(pauseState.until).toISOString() : null } : null
+});
+
+const setSelectionAssistantEnabled = async (enabled) => {
+  const result = await saveSettings([{ path: ['selectionAssistant', 'enabled'], value: enabled }]);
+  if (!result.ok) {
+    throw new Error(result.errors.map((problem) => problem.message).join('; '));
+  }
+  return getControlStatus();
+};
+
+const CONTROL_METHODS = {
+  status: async () => getControlStatus(),
+  enable: async () => setSelectionAssistantEnabled(true),
+  disable: async () => setSelectionAssistantEnabled(false),
+  pause: async ({ minutes }) => {
+    if (minutes !== undefined && !(typeof minutes === 'number' && minutes > 0)) {
+      throw controlError('invalid-params', '"minutes" must be a positive number');
+    }
+    await pauseSelectionAssistant(minutes ? minutes * 60 * 1000 : null);
+    return getControlStatus();
+  },
+  resume: async () => {
+    await resumeSelectionAssistant();
+    return getControlStatus();
+  },
+  getLastSelection: async () => lastSelection,
+  copy: async ({ text, program }) => {
+    if (typeof text !== 'string' || text.length === 0) {
+      throw controlError('invalid-params', '"text" must be a non-empty string');
+    }
+    return { copied: await copyText(text, { program: typeof program === 'string' ? program : '' }) };
+  },
+  reloadConfig: async () => {
+    await reloadConfig();
+    return getControlStatus();
+  }
+};
+
+// `toggle` resumes when paused, turns the assistant on when disabled, and otherwise pauses it.
+const runCliCommands = async (commands) => {
+  for (const command of commands) {
+    switch (command.type) {
+      case 'pause':
+        await pauseSelectionAssistant(command.minutes ? command.minutes * 60 * 1000 : null);
+        break;
+      case 'resume':
+        await resumeSelectionAssistant();
+        break;
+      case 'toggle':
+        if (pauseState) {
+          await resumeSelectionAssistant();
+        } else if (!currentConfig.selectionAssistant?.enabled) {
+          await setSelectionAssistantEnabled(true);
+        } else {
+          await pauseSelectionAssistant(null);
+        }
+        break;
+      case 'open-settings':
+        showMainWindow('settings');
+        break;
+      default:
+        break;
+    }
+  }
+};
+
+const handleSecondInstance = async (_event, _argv, _workingDirectory, additionalData) => {
+  const forwarded = parseCommandLine(Array.isArray(additionalData?.argv) ? additionalData.argv : []);
+  if (forwarded.configPath && forwarded.configPath !== getConfigPath()) {
+    await logMessage('warn', 'Ignoring --config from a second launch; already running with another config', {
+      configPath: getConfigPath()
+    });
+  }
+  if (forwarded.commands.length === 0 && !forwarded.hidden) {
+    showMainWindow();
+  }
+
+  let reply;
+  try {
+    await runCliCommands(forwarded.commands);
+    reply = { ok: true, status: getControlStatus() };
+  } catch (error) {
+    await logMessage('error', 'Command-line request failed', { error: error.message });
+    reply = { ok: false, error: error.message };
+  }
+  if (typeof additionalData?.replyTo === 'string') {
+    await sendReply(additionalData.replyTo, reply);
+  }
+};
+
+const printCliReply = (reply) => {
+  if (!reply) {
+    process.stderr.write('SelectionCopy did not answer.\n');
+  } else if (reply.ok) {
+    process.stdout.write(`${JSON.stringify(reply.status, null, 2)}\n`);
+  } else {
+    process.stderr.write(`${reply.error}\n`);
+  }
+};
+
+// Resolves true for the first instance. A later launch hands its arguments to the running one,
+// prints the reply when it asked for something, and exits.
+const acquireSingleInstanceLock = async () => {
+  const replyChannel =
+    cliOptions.commands.length > 0 ? await createReplyChannel().catch(() => null) : null;
+  const gotLock = app.requestSingleInstanceLock({
+    argv: process.argv.slice(1),
+    replyTo: replyChannel?.address || null
+  });
+
+  if (gotLock) {
+    replyChannel?.close();
+    if (cliOptions.commands.some((command) => command.type === 'status')) {
+      process.stdout.write(`${JSON.stringify({ running: false }, null, 2)}\n`);
+      app.exit(1);
+      return false;
+    }
+    return true;
+  }
+
+  if (!replyChannel) {
+    app.exit(cliOptions.commands.length > 0 ? 1 : 0);
+    return false;
+  }
+  const reply = await replyChannel.wait(CLI_REPLY_TIMEOUT_MS);
+  replyChannel.close();
+  printCliReply(reply);
+  app.exit(reply?.ok ? 0 : 1);
+  return false;
+};
+
+const syncControlServer = async () => {
+  const enabled = Boolean(currentConfig.controlApi?.enabled);
+  if (enabled && !controlServer) {
+    const server = createControlServer({
+      socketPath: getControlSocketPath(),
+      tokenPath: getAppStoragePath(CONTROL_TOKEN_FILENAME),
+      methods: CONTROL_METHODS,
+      events: CONTROL_EVENTS,
+      logger: {
+        info: (message) => logMessage('info', message).catch(() => {}),
+        error: (error) => logMessage('error', 'Control API error', { error: error.message }).catch(() => {})
       }
-      const owner = result.owner;
-      const processName =
-        (owner.processName || owner.name || owner.path || '').split(path.sep).pop()?.toLowerCase() ?? '';
-
-      return {
-        name: owner.name || '',
-        processName,
-        path: owner.path || '',
-        id: owner.processId || null
-      };
+    });
+    try {
+      await server.start();
+      controlServer = server;
     } catch (error) {
-      await logMessage('error', 'Failed to fetch active window', { error: error.message });
-      return null;
+      await logMessage('error', 'Failed to start control API', { error: error.message });
+    }
+  } else if (!enabled && controlServer) {
+    const server = controlServer;
+    controlServer = null;
+    await server.stop();
+  }
+};
+
+const setupIpc = () => {
+  ipcMain.handle('selection-copy:read-config', async () => currentConfig);
+
+  ipcMain.handle('selection-copy:read-locale', async () => getLocalePayload());
+
+  ipcMain.handle('selection-copy:get-active-app', async () => getActiveAppInfo());
+
+  ipcMain.handle('selection-copy:inspect-selection', async (_event, text) => sensitiveGuard.inspect(text));
+
+  ipcMain.handle('selection-copy:check-selection', async (_event, text) => {
+    const result = selectionFilter.check(String(text ?? '').trim());
+    if (!result.accepted) {
+      await logMessage('debug', `Demo bubble skipped for selection: ${result.reason}`);
     }
+    return result;
   });
 
+  ipcMain.handle('selection-copy:save-settings', async (_event, changes) => saveSettings(changes));
+
   ipcMain.handle('selection-copy:open-config-folder', async () => {
     const folderPath = path.dirname(getConfigPath());
     await shell.openPath(folderPath);
@@ -395,30 +1797,110 @@ const setupIpc = () => {
     return true;
   });
 
-  ipcMain.handle('selection-copy:write-to-clipboard', async (_event, text) => {
+  ipcMain.handle('selection-copy:open-external', async (_event, url) => openExternalUrl(url));
+
+  ipcMain.handle('selection-copy:hide-toolbar', async () => {
+    if (selectionService && selectionService.isAvailable()) {
+      selectionService.dismissToolbar();
+    }
+    return true;
+  });
+
+  ipcMain.handle('selection-copy:write-to-clipboard', async (_event, text, meta = {}) => {
     if (typeof text !== 'string' || text.length === 0) {
       return false;
     }
-    if (selectionService && selectionService.isAvailable() && selectionService.writeToClipboard(text)) {
-      return true;
-    }
-    try {
-      clipboard.writeText(text);
-      return true;
-    } catch (error) {
-      await logMessage('error', 'Failed to write clipboard via fallback', { error: error.message });
+    return copyOrCollect(text, meta);
+  });
+
+  ipcMain.handle('selection-copy:read-collect-state', async () => getCollectState());
+
+  ipcMain.handle('selection-copy:undo-collect', async () => undoLastCollected());
+
+  ipcMain.handle('selection-copy:clear-collect', async () => clearCollected());
+
+  ipcMain.handle('selection-copy:list-history', async (_event, query) =>
+    historyStore ? historyStore.list(query) : []
+  );
+
+  ipcMain.handle('selection-copy:copy-history-entry', async (_event, id) => {
+    const entry = historyStore?.get(id);
+    if (!entry) {
       return false;
     }
+    return writeClipboardText(entry.text);
+  });
+
+  ipcMain.handle('selection-copy:delete-history-entry', async (_event, id) =>
+    historyStore ? historyStore.remove(id) : false
+  );
+
+  ipcMain.handle('selection-copy:clear-history', async () => {
+    if (historyStore) {
+      historyStore.clear();
+    }
+    return true;
+  });
+
+  // Renderers report bubble usage; counting happens here so every window feeds one store.
+  ipcMain.on('selection-copy:record-usage', (_event, type, data = {}) => {
+    if (!usageStats || !USAGE_EVENTS.includes(type)) {
+      return;
+    }
+    usageStats.record(type, {
+      program: typeof data?.program === 'string' ? data.program : '',
+      latencyMs: Number(data?.latencyMs),
+      fallback: data?.fallback === true
+    });
+  });
+
+  ipcMain.handle('selection-copy:get-usage-stats', async (_event, range) =>
+    usageStats ? usageStats.summarize(range) : null
+  );
+
+  ipcMain.handle('selection-copy:export-usage-csv', async (event, range) =>
+    exportUsageCsv(BrowserWindow.fromWebContents(event.sender), range)
+  );
+
+  ipcMain.handle('selection-copy:clear-usage-stats', async () => {
+    if (usageStats) {
+      usageStats.clear();
+    }
+    return true;
   });
 
-  ipcMain.on('selection-copy:log-error', async (_event, payload) => {
-    await logMessage('error', 'Renderer reported an error', { payload });
+  ipcMain.handle('selection-copy:read-logs', async (_event, filters) => logger.readEntries(filters));
+
+  ipcMain.handle('selection-copy:export-diagnostics', async (event) =>
+    exportDiagnostics(BrowserWindow.fromWebContents(event.sender))
+  );
+
+  ipcMain.on('selection-copy:log-error', async (event, payload) => {
+    await errorCapture.report('error', 'Renderer reported an error', {
+      window: describeWindowKind(event.sender),
+      payload
+    });
   });
 };
 
+// High contrast wins over dark and light: its colours come from the OS palette (see style.css).
+const getNativeThemeMode = () => {
+  if (nativeTheme.shouldUseHighContrastColors) {
+    return 'high-contrast';
+  }
+  return nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
+};
+
+// Every window, the overlay included, gets the mode once loaded and again whenever it changes.
 const setupNativeThemeBridge = () => {
+  app.on('browser-window-created', (_event, window) => {
+    window.webContents.on('did-finish-load', () => {
+      window.webContents.send('selection-copy:native-theme', getNativeThemeMode());
+    });
+  });
+
   nativeTheme.on('updated', () => {
-    const mode = nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
+    const mode = getNativeThemeMode();
     BrowserWindow.getAllWindows().forEach((window) => {
       if (!window.isDestroyed()) {
         window.webContents.send('selection-copy:native-theme', mode);
@@ -427,16 +1909,36 @@ const setupNativeThemeBridge = () => {
   });
 };
 
+errorCapture.install();
+
+if (cliOptions.errors.length > 0) {
+  process.stderr.write(`${cliOptions.errors.join('\n')}\n`);
+  app.exit(2);
+}
+const singleInstance = cliOptions.errors.length > 0 ? Promise.resolve(false) : acquireSingleInstanceLock();
+
+app.on('second-instance', (...args) => {
+  handleSecondInstance(...args).catch(() => {});
+});
+
 app.whenReady().then(async () => {
+  if (!(await singleInstance)) {
+    return;
+  }
   await ensureConfigFile();
   await loadConfigFromDisk();
+  syncLocale();
+  await initializeHistoryStore();
+  await initializeUsageStats();
   await applyAutoLaunchSetting();
   await watchConfigFile();
+  setupNativeThemeBridge();
   await initializeSelectionService();
   setupIpc();
-  setupNativeThemeBridge();
   createMainWindow();
   createTray();
+  await syncControlServer();
+  await runCliCommands(cliOptions.commands);
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -447,11 +1949,34 @@ app.whenReady().then(async () => {
   });
 });
 
-app.on('before-quit', () => {
+// Set once the first quit request has started flushing; the `app.quit()` that follows goes through.
+let quitPrepared = false;
+
+app.on('before-quit', (event) => {
   app.isQuiting = true;
+  if (quitPrepared) {
+    return;
+  }
+  quitPrepared = true;
+  clearTimeout(pauseTimer);
+  if (pendingClipboardClear) {
+    clearTimeout(clipboardClearTimer);
+    pendingClipboardClear();
+  }
   if (selectionService) {
     selectionService.quit();
   }
+  if (controlServer) {
+    controlServer.stop().catch(() => {});
+  }
+  // History and statistics writes are debounced, so quitting waits for the last ones to reach
+  // the disk.
+  event.preventDefault();
+  Promise.all([historyStore?.flush(), usageStats?.flush()]).finally(() => app.quit());
+});
+
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
 });
 
 app.on('window-all-closed', () => {
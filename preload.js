@@ -5,21 +5,49 @@ const send = (channel, ...args) => ipcRenderer.send(channel, ...args);
 
 contextBridge.exposeInMainWorld('selectionCopy', {
   getActiveApp: () => invoke('selection-copy:get-active-app'),
+  inspectSelection: (text) => invoke('selection-copy:inspect-selection', text),
+  checkSelection: (text) => invoke('selection-copy:check-selection', text),
   readConfig: () => invoke('selection-copy:read-config'),
   onConfigUpdated: (callback) => {
     const handler = (_event, config) => callback(config);
     ipcRenderer.on('selection-copy:config-updated', handler);
     return () => ipcRenderer.removeListener('selection-copy:config-updated', handler);
   },
+  readLocale: () => invoke('selection-copy:read-locale'),
+  onLocaleUpdated: (callback) => {
+    const handler = (_event, locale) => callback(locale);
+    ipcRenderer.on('selection-copy:locale-updated', handler);
+    return () => ipcRenderer.removeListener('selection-copy:locale-updated', handler);
+  },
   onNativeTheme: (callback) => {
     const handler = (_event, mode) => callback(mode);
     ipcRenderer.on('selection-copy:native-theme', handler);
     return () => ipcRenderer.removeListener('selection-copy:native-theme', handler);
   },
   openConfigFolder: () => invoke('selection-copy:open-config-folder'),
+  saveSettings: (changes) => invoke('selection-copy:save-settings', changes),
   determineToolbarSize: (width, height) =>
     invoke('selection-copy:determine-toolbar-size', Number(width), Number(height)),
-  writeToClipboard: (text) => invoke('selection-copy:write-to-clipboard', text),
+  openExternal: (url) => invoke('selection-copy:open-external', url),
+  hideToolbar: () => invoke('selection-copy:hide-toolbar'),
+  writeToClipboard: (text, meta) => invoke('selection-copy:write-to-clipboard', text, meta),
+  readCollectState: () => invoke('selection-copy:read-collect-state'),
+  undoCollect: () => invoke('selection-copy:undo-collect'),
+  clearCollect: () => invoke('selection-copy:clear-collect'),
+  onCollectUpdated: (callback) => {
+    const handler = (_event, collect) => callback(collect);
+    ipcRenderer.on('selection-copy:collect-updated', handler);
+    return () => ipcRenderer.removeListener('selection-copy:collect-updated', handler);
+  },
+  listHistory: (query) => invoke('selection-copy:list-history', query),
+  copyHistoryEntry: (id) => invoke('selection-copy:copy-history-entry', id),
+  deleteHistoryEntry: (id) => invoke('selection-copy:delete-history-entry', id),
+  clearHistory: () => invoke('selection-copy:clear-history'),
+  onHistoryUpdated: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('selection-copy:history-updated', handler);
+    return () => ipcRenderer.removeListener('selection-copy:history-updated', handler);
+  },
   onShowBubble: (callback) => {
     const handler = (_event, payload) => callback(payload);
     ipcRenderer.on('selection-copy:show-bubble', handler);
@@ -30,5 +58,21 @@ contextBridge.exposeInMainWorld('selectionCopy', {
     ipcRenderer.on('selection-copy:hide-bubble', handler);
     return () => ipcRenderer.removeListener('selection-copy:hide-bubble', handler);
   },
+  onFocusBubble: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('selection-copy:focus-bubble', handler);
+    return () => ipcRenderer.removeListener('selection-copy:focus-bubble', handler);
+  },
+  readLogs: (filters) => invoke('selection-copy:read-logs', filters),
+  exportDiagnostics: () => invoke('selection-copy:export-diagnostics'),
+  recordUsage: (type, data) => send('selection-copy:record-usage', type, data),
+  getUsageStats: (range) => invoke('selection-copy:get-usage-stats', range),
+  exportUsageCsv: (range) => invoke('selection-copy:export-usage-csv', range),
+  clearUsageStats: () => invoke('selection-copy:clear-usage-stats'),
+  onUsageUpdated: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('selection-copy:usage-updated', handler);
+    return () => ipcRenderer.removeListener('selection-copy:usage-updated', handler);
+  },
   logError: (payload) => send('selection-copy:log-error', payload)
 });
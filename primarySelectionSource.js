@@ -0,0 +1,134 @@
+const { EventEmitter } = require('events');
+const { clipboard } = require('electron');
+const { PositionLevel } = require('./selectionSources');
+
+const POLL_INTERVAL_MS = 200;
+// PRIMARY updates continuously while a drag is in progress, so a selection is only reported
+// once it has stayed the same for this long.
+const SETTLE_MS = 300;
+// Clicking elsewhere leaves PRIMARY as it was and cannot be observed, so the bubble hides after
+// this long unless `selectionAssistant.autoHideMs` says otherwise.
+const AUTO_HIDE_MS = 6000;
+
+/**
+ * Linux selection source driven by the X11/Wayland PRIMARY selection. It only emits
+ * `text-selection`, with `posLevel: NONE`, so the toolbar is anchored at the cursor. The foreground process name comes
+ * from `getActiveWindow` because PRIMARY does not say who owns it. `sourceOptions.autoHideMs`
+ * overrides the default bubble lifetime (`0` keeps it until the selection changes).
+ */
+class PrimarySelectionSource extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.getActiveWindow = options.getActiveWindow;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.settleMs = options.settleMs ?? SETTLE_MS;
+    this.autoHideMs = options.autoHideMs ?? AUTO_HIDE_MS;
+
+    this.timer = null;
+    this.polling = false;
+    this.passive = false;
+
+    this.lastText = '';
+    this.pending = null;
+    this.current = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return true;
+    }
+    try {
+      // Whatever was selected before launch is not a new selection.
+      this.lastText = this.readPrimary();
+    } catch (error) {
+      this.emit('error', error);
+      return false;
+    }
+    this.timer = setInterval(this.poll, this.pollIntervalMs);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.pending = null;
+    return true;
+  }
+
+  cleanup() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
+  setSelectionPassiveMode(passive) {
+    this.passive = Boolean(passive);
+  }
+
+  getCurrentSelection() {
+    return this.current ? { ...this.current } : null;
+  }
+
+  // The PRIMARY selection cannot be pasted with Ctrl+V, so copies go through the regular
+  // clipboard fallback in the main process.
+  writeToClipboard() {
+    return false;
+  }
+
+  readPrimary() {
+    return clipboard.readText('selection') || '';
+  }
+
+  poll = async () => {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      const text = this.readPrimary();
+      const now = Date.now();
+
+      if (text !== this.lastText) {
+        this.lastText = text;
+        this.pending = { text, changedAt: now };
+        return;
+      }
+      if (!this.pending || now - this.pending.changedAt < this.settleMs) {
+        return;
+      }
+
+      this.pending = null;
+      const selectionData = {
+        text,
+        programName: await this.resolveProgramName(),
+        posLevel: PositionLevel.NONE
+      };
+      this.current = text.trim() ? selectionData : null;
+      if (!this.passive && this.timer) {
+        this.emit('text-selection', selectionData);
+      }
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this.polling = false;
+    }
+  };
+
+  async resolveProgramName() {
+    if (!this.getActiveWindow) {
+      return '';
+    }
+    try {
+      const windowInfo = await this.getActiveWindow();
+      return windowInfo?.processName || '';
+    } catch (error) {
+      this.emit('error', error);
+      return '';
+    }
+  }
+}
+
+module.exports = {
+  PrimarySelectionSource
+};
@@ -0,0 +1,61 @@
+// Selections made of nothing but digits, punctuation, maths or currency signs and whitespace,
+// e.g. "42", "--", "1 + 1 = 2" or "$3.50". Emoji and other symbols count as content.
+const SYMBOLS_ONLY = /^[\p{N}\p{P}\p{Sm}\p{Sc}\s]+$/u;
+
+// Counts code points, so an emoji or a CJK extension character is one character.
+const countCharacters = (text) => {
+  let count = 0;
+  for (const _character of text) {
+    count += 1;
+  }
+  return count;
+};
+
+const compileIgnorePatterns = (patterns) =>
+  (Array.isArray(patterns) ? patterns : []).flatMap((source, index) => {
+    try {
+      return [{ index, regex: new RegExp(source) }];
+    } catch (error) {
+      // Invalid patterns are rejected by the config schema; skip one that slips through.
+      return [];
+    }
+  });
+
+/**
+ * Decides which selections are worth a bubble, from the `selectionAssistant` config:
+ * `minTextLength`, `maxTextLength` (`0` for no limit), `ignoreSymbolOnly` and `ignorePatterns`
+ * (regular expression sources tested against the selection). `check(text)` takes the trimmed
+ * text and returns `{ accepted: true }` or `{ accepted: false, reason }`. The reason never
+ * quotes the text, so it can be logged.
+ */
+const createSelectionFilter = (config = {}) => {
+  const minLength = Math.max(1, Math.floor(Number(config.minTextLength)) || 1);
+  const maxLength = Math.max(0, Math.floor(Number(config.maxTextLength)) || 0);
+  const ignoreSymbolOnly = config.ignoreSymbolOnly === true;
+  const ignorePatterns = compileIgnorePatterns(config.ignorePatterns);
+
+  const check = (text) => {
+    // A string has at least as many UTF-16 units as characters, so long ones skip the count.
+    const length = maxLength > 0 && text.length > maxLength * 2 ? Infinity : countCharacters(text);
+    if (length < minLength) {
+      return { accepted: false, reason: `shorter than ${minLength} characters` };
+    }
+    if (maxLength > 0 && length > maxLength) {
+      return { accepted: false, reason: `longer than ${maxLength} characters` };
+    }
+    if (ignoreSymbolOnly && SYMBOLS_ONLY.test(text)) {
+      return { accepted: false, reason: 'only digits, punctuation or symbols' };
+    }
+    const ignored = ignorePatterns.find(({ regex }) => regex.test(text));
+    if (ignored) {
+      return { accepted: false, reason: `matches ignorePatterns[${ignored.index}]` };
+    }
+    return { accepted: true };
+  };
+
+  return { check };
+};
+
+module.exports = {
+  createSelectionFilter
+};
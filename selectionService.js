@@ -1,17 +1,26 @@
 const { BrowserWindow, screen } = require('electron');
+const { EventEmitter } = require('events');
 const path = require('path');
-
-let SelectionHookConstructor = null;
-try {
-  SelectionHookConstructor = require('selection-hook');
-} catch (error) {
-  // Native module not available (likely non-Windows); handled gracefully by consumers.
-  console.warn('[SelectionService] selection-hook not available:', error.message);
-}
+const { createAppRules } = require('./appRules');
+const { createBackoff } = require('./backoff');
+const { createSelectionFilter } = require('./selectionFilter');
+const { createSensitiveGuard } = require('./sensitiveContent');
+const { getCursorRect, placeToolbar, rectFromPoints } = require('./toolbarPlacement');
+const {
+  createSelectionSource,
+  isSelectionSourceAvailable,
+  resolveSourceName,
+  PositionLevel,
+  SELECTION_EVENTS
+} = require('./selectionSources');
 
 const POSITION_PADDING = 12;
 const TOOLBAR_DEFAULT_WIDTH = 180;
 const TOOLBAR_DEFAULT_HEIGHT = 48;
+// This many source errors within the window make the source restart from scratch.
+const SOURCE_FAILURE_THRESHOLD = 3;
+const SOURCE_FAILURE_WINDOW_MS = 60 * 1000;
+const SOURCE_MAX_RESTARTS = 8;
 
 const TriggerMode = {
   SELECTED: 'selected',
@@ -19,89 +28,171 @@ const TriggerMode = {
   SHORTCUT: 'shortcut'
 };
 
-class SelectionService {
+/**
+ * Emits the inputs it consumes (`source-event` ({ type, data }) for every raw source event,
+ * `selection-requested`, `toolbar-dismissed`, `toolbar-resized`) and what it did with them
+ * (`toolbar-shown` / `toolbar-moved` / `toolbar-hidden` with the computed bounds), so sessions
+ * can be recorded and replayed.
+ *
+ * A source that keeps reporting errors is torn down and started again with exponential backoff;
+ * after `SOURCE_MAX_RESTARTS` failed attempts it stays stopped until the next `start()`.
+ */
+class SelectionService extends EventEmitter {
   constructor(options) {
-    this.available = Boolean(SelectionHookConstructor);
+    super();
     this.options = options;
-    this.selectionHook = null;
+    // Replays substitute a virtual screen built from the recorded display layout.
+    this.screen = options?.screen || screen;
+    this.source = null;
+    this.sourceName = 'auto';
+    this.sourceOptions = {};
+    this.available = this.checkSourceAvailable();
 
     this.toolbarWindow = null;
     this.toolbarSize = { width: TOOLBAR_DEFAULT_WIDTH, height: TOOLBAR_DEFAULT_HEIGHT };
     this.started = false;
     this.zoomFactor = 1;
+    this.preferredSide = 'auto';
 
-    this.blacklist = new Set();
-    this.filterMode = 'blacklist';
-    this.filterList = [];
+    this.appRules = createAppRules();
+    this.sensitiveGuard = createSensitiveGuard({ enabled: false });
+    this.selectionFilter = createSelectionFilter();
     this.triggerMode = TriggerMode.SELECTED;
 
     this.lastSelectionText = '';
+    this.selectionSequence = 0;
+    this.toolbarAnchor = null;
+    this.toolbarFocused = false;
+    this.focusPending = false;
+
+    this.sourceFailures = [];
+    this.sourceBackoff = createBackoff({ initialMs: 1000, maxMs: 60 * 1000 });
+    this.restartTimer = null;
 
     this.hideListenersAttached = false;
     this.lastCtrlKeyDownAt = 0;
+    this.sourceEventForwarders = new Map(
+      SELECTION_EVENTS.map((type) => [type, (data) => this.emit('source-event', { type, data })])
+    );
   }
 
   isAvailable() {
     return this.available;
   }
 
+  checkSourceAvailable() {
+    return isSelectionSourceAvailable(this.sourceName, {
+      baseDirectory: this.options?.sourceDirectory
+    });
+  }
+
   updateConfig(config = {}) {
-    this.blacklist = new Set(
-      Array.isArray(config.blacklist) ? config.blacklist.map((item) => item.toLowerCase()) : []
-    );
-    this.filterMode = config.selectionFilterMode || 'blacklist';
-    this.filterList = Array.isArray(config.selectionFilterList)
-      ? config.selectionFilterList.map((item) => item.toLowerCase())
-      : [];
+    const sourceName = config.source || 'auto';
+    const sourceOptions = config.sourceOptions || {};
+    if (
+      sourceName !== this.sourceName ||
+      JSON.stringify(sourceOptions) !== JSON.stringify(this.sourceOptions)
+    ) {
+      // A different backend is picked up by the next start().
+      this.quit();
+      this.sourceName = sourceName;
+      this.sourceOptions = sourceOptions;
+      this.available = this.checkSourceAvailable();
+    }
+
+    this.appRules = config.appRules || createAppRules();
+    this.sensitiveGuard = config.sensitiveGuard || createSensitiveGuard({ enabled: false });
+    this.selectionFilter = config.selectionFilter || createSelectionFilter();
     this.triggerMode = config.selectionTriggerMode || TriggerMode.SELECTED;
     this.zoomFactor = Number(config.zoomFactor || 1) || 1;
+    this.preferredSide = config.preferredSide || 'auto';
+
+    if (this.started) {
+      this.detachCtrlKeyListener();
+      this.attachCtrlKeyListener();
+      this.applyPassiveMode();
+    }
+  }
+
+  usesTriggerMode(mode) {
+    return this.triggerMode === mode || this.appRules.usesTriggerMode(mode);
   }
 
   setToolbarSize(width, height) {
+    const previous = { ...this.toolbarSize };
     if (Number.isFinite(width) && width > 0) {
       this.toolbarSize.width = Math.ceil(width);
     }
     if (Number.isFinite(height) && height > 0) {
       this.toolbarSize.height = Math.ceil(height);
     }
+
+    const changed =
+      previous.width !== this.toolbarSize.width || previous.height !== this.toolbarSize.height;
+    if (changed) {
+      this.emit('toolbar-resized', { ...this.toolbarSize });
+      this.repositionToolbar();
+    }
   }
 
-  ensureHook() {
-    if (this.selectionHook || !this.available) {
+  // The bubble width depends on which actions are available for the current selection,
+  // so the window is re-anchored once the renderer reports its measured size.
+  repositionToolbar() {
+    if (
+      !this.toolbarAnchor ||
+      !this.toolbarWindow ||
+      this.toolbarWindow.isDestroyed() ||
+      !this.toolbarWindow.isVisible()
+    ) {
       return;
     }
+    const bounds = this.getToolbarBounds(this.toolbarAnchor);
+    this.toolbarWindow.setBounds(bounds);
+    this.emit('toolbar-moved', { bounds });
+  }
 
-    this.selectionHook = new SelectionHookConstructor();
-    if (!this.selectionHook) {
-      throw new Error('Failed to instantiate selection-hook');
+  ensureSource() {
+    if (this.source || !this.available) {
+      return;
     }
+
+    this.source = createSelectionSource(this.sourceName, {
+      ...this.sourceOptions,
+      debug: Boolean(this.options?.debug),
+      getActiveWindow: this.options?.getActiveWindow,
+      baseDirectory: this.options?.sourceDirectory
+    });
   }
 
   async start() {
     if (!this.available || this.started) {
       return false;
     }
+    this.cancelRestart();
 
     try {
-      this.ensureHook();
-      if (!this.selectionHook) {
+      this.ensureSource();
+      if (!this.source) {
         return false;
       }
 
-      this.selectionHook.on('text-selection', this.handleTextSelection);
-      this.selectionHook.on('error', this.handleHookError);
+      // Forwarders go first so recordings see each event before it is handled.
+      this.sourceEventForwarders.forEach((forward, type) => this.source.on(type, forward));
+      this.source.on('text-selection', this.handleTextSelection);
+      this.source.on('error', this.handleSourceError);
 
       this.attachHideListeners();
       this.attachCtrlKeyListener();
+      this.applyPassiveMode();
 
-      const started = this.selectionHook.start({ debug: Boolean(this.options?.debug) });
+      const started = this.source.start();
       if (!started) {
-        this.logError(new Error('selection-hook start() returned false'));
+        this.logError(new Error(`${resolveSourceName(this.sourceName)} start() returned false`));
         return false;
       }
 
       this.started = true;
-      this.logInfo('SelectionService started');
+      this.logInfo(`SelectionService started (${resolveSourceName(this.sourceName)})`);
       return true;
     } catch (error) {
       this.logError(error);
@@ -110,12 +201,16 @@ class SelectionService {
   }
 
   stop() {
-    if (!this.selectionHook || !this.started) {
+    this.cancelRestart();
+    if (!this.source || !this.started) {
       return;
     }
 
     try {
-      this.selectionHook.stop();
+      this.source.stop();
+      this.sourceEventForwarders.forEach((forward, type) => this.source.off(type, forward));
+      this.source.off('text-selection', this.handleTextSelection);
+      this.source.off('error', this.handleSourceError);
       this.detachHideListeners();
       this.detachCtrlKeyListener();
 
@@ -130,22 +225,125 @@ class SelectionService {
 
   quit() {
     this.stop();
-    if (this.selectionHook) {
+    this.releaseSource();
+  }
+
+  releaseSource() {
+    if (this.source) {
       try {
-        this.selectionHook.cleanup?.();
+        this.source.cleanup?.();
       } catch (error) {
         this.logError(error);
       }
     }
-    this.selectionHook = null;
+    this.source = null;
     this.started = false;
   }
 
-  handleHookError = (error) => {
+  // Drops the source and builds a fresh one after the backoff delay, e.g. once the native hook
+  // has stopped delivering events.
+  restartSource(reason) {
+    if (this.restartTimer) {
+      return;
+    }
+    const name = resolveSourceName(this.sourceName);
+    this.stop();
+    this.releaseSource();
+    if (this.sourceBackoff.attempts >= SOURCE_MAX_RESTARTS) {
+      this.sourceBackoff.reset();
+      this.logError(new Error(`${name} keeps failing (${reason}); giving up after ${SOURCE_MAX_RESTARTS} restarts`));
+      return;
+    }
+
+    const delayMs = this.sourceBackoff.next();
+    this.logInfo(`Restarting ${name} in ${delayMs} ms (${reason})`);
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      if (this.started) {
+        return;
+      }
+      if (!(await this.start())) {
+        this.restartSource('restart failed');
+      }
+    }, delayMs);
+  }
+
+  cancelRestart() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+  }
+
+  // Only the `selected` mode reacts to every selection; the others ask for the selection on demand.
+  applyPassiveMode() {
+    try {
+      this.source?.setSelectionPassiveMode?.(!this.usesTriggerMode(TriggerMode.SELECTED));
+    } catch (error) {
+      this.logError(error);
+    }
+  }
+
+  getCurrentSelection() {
+    if (!this.source || !this.started) {
+      return null;
+    }
+    try {
+      return this.source.getCurrentSelection() || null;
+    } catch (error) {
+      this.logError(error);
+      return null;
+    }
+  }
+
+  showForCurrentSelection(trigger = TriggerMode.SHORTCUT) {
+    const selectionData = this.getCurrentSelection();
+    this.emit('selection-requested', { trigger, selectionData });
+    if (!selectionData) {
+      return false;
+    }
+    this.handleTextSelection(selectionData, trigger);
+    return true;
+  }
+
+  /**
+   * Gives the bubble keyboard focus (the accessibility hotkey). The window is created
+   * unfocusable so selecting text never steals focus from the app being read; it only becomes
+   * focusable until the bubble hides again. Without a visible bubble the current selection is
+   * shown first and focused once it appears. Returns `false` when there is nothing to focus.
+   */
+  focusToolbar() {
+    if (this.toolbarWindow && !this.toolbarWindow.isDestroyed() && this.toolbarWindow.isVisible()) {
+      this.giveToolbarFocus();
+      return true;
+    }
+    this.focusPending = true;
+    if (!this.showForCurrentSelection(TriggerMode.SHORTCUT)) {
+      this.focusPending = false;
+      return false;
+    }
+    return true;
+  }
+
+  giveToolbarFocus() {
+    this.focusPending = false;
+    this.toolbarFocused = true;
+    this.toolbarWindow.setFocusable(true);
+    this.toolbarWindow.focus();
+    this.toolbarWindow.webContents.send('selection-copy:focus-bubble');
+  }
+
+  handleSourceError = (error) => {
     this.logError(error);
+
+    const now = Date.now();
+    this.sourceFailures = this.sourceFailures.filter((at) => now - at < SOURCE_FAILURE_WINDOW_MS);
+    this.sourceFailures.push(now);
+    if (this.sourceFailures.length >= SOURCE_FAILURE_THRESHOLD) {
+      this.sourceFailures = [];
+      this.restartSource(`${SOURCE_FAILURE_THRESHOLD} errors within ${SOURCE_FAILURE_WINDOW_MS / 1000} s`);
+    }
   };
 
-  handleTextSelection = (selectionData) => {
+  handleTextSelection = (selectionData, trigger = TriggerMode.SELECTED) => {
     if (!selectionData || typeof selectionData.text !== 'string') {
       return;
     }
@@ -156,247 +354,239 @@ class SelectionService {
       return;
     }
 
-    if (!this.shouldProcessSelection(selectionData)) {
-      this.hideToolbar();
-      return;
+    // Length and content limits weed out noise; the trigger hotkey is an explicit request.
+    if (trigger !== TriggerMode.SHORTCUT) {
+      const filtered = this.selectionFilter.check(trimmed);
+      if (!filtered.accepted) {
+        this.hideToolbar();
+        this.logDebug(`Bubble skipped for selection: ${filtered.reason}`);
+        return;
+      }
     }
 
-    const { point, orientation } = this.deriveReferencePoint(selectionData);
-    if (!point) {
-      this.hideToolbar();
-      return;
-    }
+    this.selectionSequence += 1;
+    const sequence = this.selectionSequence;
 
-    this.lastSelectionText = trimmed;
-    this.showToolbar(point, orientation, selectionData);
-  };
+    this.resolveBehavior(selectionData)
+      .then((behavior) => {
+        // A newer selection or a hide event arrived while the window info was being fetched.
+        if (sequence !== this.selectionSequence) {
+          return;
+        }
 
-  shouldProcessSelection(selectionData) {
-    if (!selectionData) {
-      return false;
-    }
+        if (!this.shouldProcessSelection(behavior, trigger)) {
+          this.hideToolbar();
+          return;
+        }
 
-    const programName = (selectionData.programName || '').toLowerCase();
+        const sensitive = this.sensitiveGuard.inspect(trimmed);
+        if (sensitive.action === 'hide') {
+          this.hideToolbar();
+          this.logInfo(`Bubble suppressed for sensitive selection (${sensitive.categories.join(', ')})`);
+          return;
+        }
 
-    if (this.triggerMode === TriggerMode.SELECTED) {
-      if (programName && this.blacklist.has(programName)) {
-        return false;
-      }
+        this.lastSelectionText = trimmed;
+        this.showToolbar(this.derivePlacement(selectionData), selectionData, { ...behavior, sensitive });
+      })
+      .catch((error) => this.logError(error));
+  };
 
-      if (this.filterMode === 'whitelist' && this.filterList.length > 0) {
-        return this.filterList.some((name) => programName.includes(name));
-      }
+  async resolveBehavior(selectionData) {
+    const target = { processName: selectionData.programName || '' };
 
-      if (this.filterMode === 'blacklist' && this.filterList.length > 0) {
-        return !this.filterList.some((name) => programName.includes(name));
+    if (this.appRules.needsWindowInfo && this.options?.getActiveWindow) {
+      try {
+        const windowInfo = await this.options.getActiveWindow();
+        if (windowInfo) {
+          target.processName = target.processName || windowInfo.processName;
+          target.path = windowInfo.path;
+          target.title = windowInfo.title;
+        }
+      } catch (error) {
+        this.logError(error);
       }
     }
 
-    return true;
+    return this.appRules.evaluate(target);
   }
 
-  deriveReferencePoint(selectionData) {
-    const rangePadding = POSITION_PADDING * this.zoomFactor;
-    const posLevel = selectionData.posLevel;
-    const SelectionHook = SelectionHookConstructor;
+  shouldProcessSelection(behavior, trigger) {
+    if (!behavior || !behavior.enabled) {
+      return false;
+    }
 
-    let referencePoint = null;
-    let orientation = 'bottomRight';
+    // The trigger hotkey is an explicit request, so it works whatever the app's mode is.
+    if (trigger === TriggerMode.SHORTCUT) {
+      return true;
+    }
+
+    return behavior.triggerMode === trigger;
+  }
+
+  /**
+   * Describes where the toolbar should go for a selection: the `target` rectangle it must not
+   * cover, the `focus` point it lines up with (`align`), the `side` the selection direction
+   * suggests and the pointer position at the time. Everything is in DIPs; each point is
+   * converted with the scale factor of the display it is on.
+   */
+  derivePlacement(selectionData) {
+    const rangePadding = POSITION_PADDING * this.zoomFactor;
 
     const toDip = (point) => {
       if (!point) {
         return { x: 0, y: 0 };
       }
-      const converted = screen.screenToDipPoint({ x: point.x, y: point.y });
+      const converted = this.screen.screenToDipPoint({ x: point.x, y: point.y });
       return { x: Math.round(converted.x), y: Math.round(converted.y) };
     };
+    const cursor = toDip(this.screen.getCursorScreenPoint());
+    const atPointer = (point) => ({
+      target: getCursorRect(point),
+      focus: point,
+      align: 'center',
+      side: 'below',
+      gap: rangePadding,
+      cursor
+    });
 
-    switch (posLevel) {
-      case SelectionHook?.PositionLevel.NONE: {
-        const cursorPoint = screen.getCursorScreenPoint();
-        const dip = toDip({ x: cursorPoint.x, y: cursorPoint.y });
-        referencePoint = { x: dip.x, y: dip.y + rangePadding };
-        orientation = 'bottomMiddle';
-        break;
-      }
-      case SelectionHook?.PositionLevel.MOUSE_SINGLE: {
-        const dip = toDip(selectionData.mousePosEnd);
-        referencePoint = { x: dip.x, y: dip.y + rangePadding };
-        orientation = 'bottomMiddle';
-        break;
-      }
-      case SelectionHook?.PositionLevel.MOUSE_DUAL: {
+    switch (selectionData.posLevel) {
+      case PositionLevel.NONE:
+        return atPointer(cursor);
+      case PositionLevel.MOUSE_SINGLE:
+        return atPointer(toDip(selectionData.mousePosEnd));
+      case PositionLevel.MOUSE_DUAL: {
         const start = toDip(selectionData.mousePosStart);
         const end = toDip(selectionData.mousePosEnd);
-        const yDistance = end.y - start.y;
-        const xDistance = end.x - start.x;
-
-        if (Math.abs(yDistance) > 14) {
-          if (yDistance > 0) {
-            orientation = 'bottomLeft';
-            referencePoint = { x: end.x, y: end.y + rangePadding };
-          } else {
-            orientation = 'topRight';
-            referencePoint = { x: end.x, y: end.y - rangePadding };
-          }
-        } else if (xDistance > 0) {
-          orientation = 'bottomLeft';
-          referencePoint = { x: end.x, y: end.y + rangePadding };
-        } else {
-          orientation = 'bottomRight';
-          referencePoint = { x: end.x, y: end.y + rangePadding };
+        const placement = { target: rectFromPoints([start, end]), focus: end, gap: rangePadding, cursor };
+
+        // Dragging upwards puts the bubble above, otherwise it goes below and away from the
+        // end of the drag.
+        if (end.y - start.y < -14) {
+          return { ...placement, side: 'above', align: 'start' };
         }
-        break;
+        const forwards = Math.abs(end.y - start.y) > 14 || end.x - start.x > 0;
+        return { ...placement, side: 'below', align: forwards ? 'end' : 'start' };
       }
-      case SelectionHook?.PositionLevel.SEL_FULL:
-      case SelectionHook?.PositionLevel.SEL_DETAILED: {
+      case PositionLevel.SEL_FULL:
+      case PositionLevel.SEL_DETAILED: {
         const mouseStart = toDip(selectionData.mousePosStart);
         const mouseEnd = toDip(selectionData.mousePosEnd);
+        const startTop = toDip(selectionData.startTop);
+        const startBottom = toDip(selectionData.startBottom);
+        const endTop = toDip(selectionData.endTop);
+        const endBottom = toDip(selectionData.endBottom);
+        const placement = {
+          target: rectFromPoints([startTop, startBottom, endTop, endBottom]),
+          gap: rangePadding / 3,
+          cursor
+        };
+
         const isNoMouse =
           mouseStart.x === 0 && mouseStart.y === 0 && mouseEnd.x === 0 && mouseEnd.y === 0;
-
         if (isNoMouse) {
-          const endBottom = toDip(selectionData.endBottom);
-          orientation = 'bottomLeft';
-          referencePoint = { x: endBottom.x, y: endBottom.y + rangePadding / 3 };
-          break;
+          return { ...placement, focus: endBottom, side: 'below', align: 'end' };
         }
 
         const isDoubleClick = mouseStart.x === mouseEnd.x && mouseStart.y === mouseEnd.y;
-        const startTop = toDip(selectionData.startTop);
-        const startBottom = toDip(selectionData.startBottom);
-        const endTop = toDip(selectionData.endTop);
-        const endBottom = toDip(selectionData.endBottom);
-
         const isSameLine = startTop.y === endTop.y && startBottom.y === endBottom.y;
-
         if (isDoubleClick && isSameLine) {
-          orientation = 'bottomMiddle';
-          referencePoint = { x: mouseEnd.x, y: endBottom.y + rangePadding / 3 };
-          break;
-        }
-
-        if (isSameLine) {
-          const direction = mouseEnd.x - mouseStart.x;
-          if (direction >= 0) {
-            orientation = 'bottomLeft';
-            referencePoint = { x: endBottom.x, y: endBottom.y + rangePadding / 3 };
-          } else {
-            orientation = 'bottomRight';
-            referencePoint = { x: startBottom.x, y: startBottom.y + rangePadding / 3 };
-          }
-          break;
+          return { ...placement, focus: { x: mouseEnd.x, y: endBottom.y }, side: 'below', align: 'center' };
         }
 
-        const direction = mouseEnd.y - mouseStart.y;
-        if (direction >= 0) {
-          orientation = 'bottomLeft';
-          referencePoint = { x: endBottom.x, y: endBottom.y + rangePadding / 3 };
-        } else {
-          orientation = 'topRight';
-          referencePoint = { x: startTop.x, y: startTop.y - rangePadding / 3 };
+        const backwards = isSameLine ? mouseEnd.x - mouseStart.x < 0 : mouseEnd.y - mouseStart.y < 0;
+        if (!backwards) {
+          return { ...placement, focus: endBottom, side: 'below', align: 'end' };
         }
-        break;
+        // A backwards selection ends where it started, so the bubble follows the start.
+        return isSameLine
+          ? { ...placement, focus: startBottom, side: 'below', align: 'start' }
+          : { ...placement, focus: startTop, side: 'above', align: 'start' };
       }
-      default: {
-        const cursorPoint = screen.getCursorScreenPoint();
-        const dip = toDip({ x: cursorPoint.x, y: cursorPoint.y });
-        referencePoint = { x: dip.x, y: dip.y + rangePadding };
-        orientation = 'bottomMiddle';
-      }
-    }
-
-    if (!referencePoint) {
-      return { point: null, orientation };
-    }
-
-    return { point: referencePoint, orientation };
-  }
-
-  getToolbarBounds(point, orientation) {
-    const display = screen.getDisplayNearestPoint({ x: point.x, y: point.y });
-    const workArea = display.workArea;
-    const width = Math.round(this.toolbarSize.width * this.zoomFactor);
-    const height = Math.round(this.toolbarSize.height * this.zoomFactor);
-    let x;
-    let y;
-
-    switch (orientation) {
-      case 'topLeft':
-        x = point.x - width;
-        y = point.y - height;
-        break;
-      case 'topRight':
-        x = point.x;
-        y = point.y - height;
-        break;
-      case 'topMiddle':
-        x = point.x - width / 2;
-        y = point.y - height;
-        break;
-      case 'bottomLeft':
-        x = point.x - width;
-        y = point.y;
-        break;
-      case 'bottomRight':
-        x = point.x;
-        y = point.y;
-        break;
-      case 'bottomMiddle':
-        x = point.x - width / 2;
-        y = point.y;
-        break;
-      case 'middleLeft':
-        x = point.x - width;
-        y = point.y - height / 2;
-        break;
-      case 'middleRight':
-        x = point.x;
-        y = point.y - height / 2;
-        break;
-      case 'center':
       default:
-        x = point.x - width / 2;
-        y = point.y - height / 2;
-        break;
+        return atPointer(cursor);
     }
+  }
 
-    const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
-    x = Math.round(clamp(x, workArea.x, workArea.x + workArea.width - width));
-    y = Math.round(clamp(y, workArea.y, workArea.y + workArea.height - height));
-
-    return { x, y, width, height };
+  getToolbarBounds(placement) {
+    const display = this.screen.getDisplayNearestPoint(placement.focus);
+    const { bounds } = placeToolbar({
+      ...placement,
+      size: {
+        width: this.toolbarSize.width * this.zoomFactor,
+        height: this.toolbarSize.height * this.zoomFactor
+      },
+      preferredSide: this.preferredSide === 'auto' ? placement.side : this.preferredSide,
+      workArea: display.workArea
+    });
+    return bounds;
   }
 
-  showToolbar(point, orientation, selectionData) {
+  showToolbar(placement, selectionData, behavior) {
     this.ensureToolbarWindow();
 
     if (this.toolbarWindow.webContents.isLoading()) {
       this.toolbarWindow.webContents.once('did-finish-load', () => {
-        this.showToolbar(point, orientation, selectionData);
+        this.showToolbar(placement, selectionData, behavior);
       });
       return;
     }
 
-    const bounds = this.getToolbarBounds(point, orientation);
+    const bounds = this.getToolbarBounds(placement);
 
+    this.toolbarAnchor = placement;
     this.toolbarWindow.setBounds(bounds);
     this.toolbarWindow.showInactive?.();
     this.toolbarWindow.show();
+    this.emit('toolbar-shown', {
+      bounds,
+      text: this.lastSelectionText,
+      program: selectionData.programName || ''
+    });
 
     this.toolbarWindow.webContents.send('selection-copy:show-bubble', {
       text: this.lastSelectionText,
-      program: selectionData.programName || ''
+      // Sources that can read the selected markup pass it along for rich-format copies.
+      html: typeof selectionData.html === 'string' ? selectionData.html : '',
+      program: selectionData.programName || '',
+      behavior: {
+        copyDelayMs: behavior?.copyDelayMs ?? 0,
+        style: behavior?.style || null,
+        sensitive: behavior?.sensitive || null,
+        autoHideMs: Number(this.source?.autoHideMs) || 0
+      }
     });
+
+    if (this.focusPending) {
+      this.giveToolbarFocus();
+    }
+  }
+
+  // Hide requested from outside the service, e.g. the bubble closing itself after an action.
+  dismissToolbar() {
+    this.emit('toolbar-dismissed');
+    this.hideToolbar();
   }
 
   hideToolbar() {
+    this.selectionSequence += 1;
+    this.focusPending = false;
+    const wasFocused = this.toolbarFocused;
+    this.toolbarFocused = false;
     if (!this.toolbarWindow || this.toolbarWindow.isDestroyed()) {
       return;
     }
 
+    const wasVisible = this.toolbarWindow.isVisible();
+    if (wasFocused) {
+      this.toolbarWindow.setFocusable(false);
+    }
+    this.toolbarAnchor = null;
     this.toolbarWindow.hide();
     this.toolbarWindow.webContents.send('selection-copy:hide-bubble');
+    if (wasVisible) {
+      this.emit('toolbar-hidden');
+    }
   }
 
   ensureToolbarWindow() {
@@ -435,17 +625,40 @@ class SelectionService {
     url.searchParams.set('overlay', '1');
     this.toolbarWindow.loadURL(url.toString());
 
-    this.toolbarWindow.on('closed', () => {
-      this.toolbarWindow = null;
+    const window = this.toolbarWindow;
+    // A focused bubble left behind (Alt+Tab, a click elsewhere) would keep an invisible window
+    // over the screen, so it goes away with the focus.
+    window.on('blur', () => {
+      if (this.toolbarWindow === window && this.toolbarFocused) {
+        this.hideToolbar();
+      }
     });
+    window.on('closed', () => {
+      if (this.toolbarWindow === window) {
+        this.toolbarWindow = null;
+      }
+    });
+  }
+
+  // Replaces the toolbar window, e.g. after its renderer crashed. A bubble that was showing is
+  // dropped; the next selection shows it in the new window.
+  recreateToolbarWindow() {
+    const previous = this.toolbarWindow;
+    this.toolbarAnchor = null;
+    this.toolbarFocused = false;
+    this.toolbarWindow = null;
+    if (previous && !previous.isDestroyed()) {
+      previous.destroy();
+    }
+    this.ensureToolbarWindow();
   }
 
   writeToClipboard(text) {
-    if (!this.selectionHook || !this.started) {
+    if (!this.source || !this.started) {
       return false;
     }
     try {
-      return this.selectionHook.writeToClipboard(text);
+      return this.source.writeToClipboard(text);
     } catch (error) {
       this.logError(error);
       return false;
@@ -453,39 +666,39 @@ class SelectionService {
   }
 
   attachHideListeners() {
-    if (this.hideListenersAttached || !this.selectionHook) {
+    if (this.hideListenersAttached || !this.source) {
       return;
     }
-    this.selectionHook.on('mouse-down', this.handleGlobalMouseDown);
-    this.selectionHook.on('mouse-wheel', this.handleGlobalMouseWheel);
-    this.selectionHook.on('key-down', this.handleGlobalKeyDown);
+    this.source.on('mouse-down', this.handleGlobalMouseDown);
+    this.source.on('mouse-wheel', this.handleGlobalMouseWheel);
+    this.source.on('key-down', this.handleGlobalKeyDown);
     this.hideListenersAttached = true;
   }
 
   detachHideListeners() {
-    if (!this.hideListenersAttached || !this.selectionHook) {
+    if (!this.hideListenersAttached || !this.source) {
       return;
     }
-    this.selectionHook.off('mouse-down', this.handleGlobalMouseDown);
-    this.selectionHook.off('mouse-wheel', this.handleGlobalMouseWheel);
-    this.selectionHook.off('key-down', this.handleGlobalKeyDown);
+    this.source.off('mouse-down', this.handleGlobalMouseDown);
+    this.source.off('mouse-wheel', this.handleGlobalMouseWheel);
+    this.source.off('key-down', this.handleGlobalKeyDown);
     this.hideListenersAttached = false;
   }
 
   attachCtrlKeyListener() {
-    if (!this.selectionHook || this.triggerMode !== TriggerMode.CTRL_KEY) {
+    if (!this.source || !this.usesTriggerMode(TriggerMode.CTRL_KEY)) {
       return;
     }
-    this.selectionHook.on('key-down', this.handleCtrlKeyDown);
-    this.selectionHook.on('key-up', this.handleCtrlKeyUp);
+    this.source.on('key-down', this.handleCtrlKeyDown);
+    this.source.on('key-up', this.handleCtrlKeyUp);
   }
 
   detachCtrlKeyListener() {
-    if (!this.selectionHook) {
+    if (!this.source) {
       return;
     }
-    this.selectionHook.off('key-down', this.handleCtrlKeyDown);
-    this.selectionHook.off('key-up', this.handleCtrlKeyUp);
+    this.source.off('key-down', this.handleCtrlKeyDown);
+    this.source.off('key-up', this.handleCtrlKeyUp);
   }
 
   handleGlobalMouseWheel = () => {
@@ -493,6 +706,10 @@ class SelectionService {
   };
 
   handleGlobalKeyDown = (event) => {
+    // While the bubble has focus the keys are meant for it.
+    if (this.toolbarFocused) {
+      return;
+    }
     const vk = event?.vkCode;
     if (vk === 160 || vk === 161) return;
     if (vk === 162 || vk === 163) return;
@@ -504,7 +721,7 @@ class SelectionService {
     if (!this.toolbarWindow || this.toolbarWindow.isDestroyed()) {
       return;
     }
-    const mouseDip = screen.screenToDipPoint({ x: event.x, y: event.y });
+    const mouseDip = this.screen.screenToDipPoint({ x: event.x, y: event.y });
     const bounds = this.toolbarWindow.getBounds();
 
     const isInside =
@@ -538,10 +755,7 @@ class SelectionService {
 
     if (Date.now() - this.lastCtrlKeyDownAt > 350) {
       this.lastCtrlKeyDownAt = -1;
-      const selectionData = this.selectionHook?.getCurrentSelection?.();
-      if (selectionData) {
-        this.handleTextSelection(selectionData);
-      }
+      this.showForCurrentSelection(TriggerMode.CTRL_KEY);
     }
   };
 
@@ -552,6 +766,14 @@ class SelectionService {
     }
   };
 
+  logDebug(message) {
+    if (this.options?.logger?.debug) {
+      this.options.logger.debug(message);
+    } else {
+      console.debug('[SelectionService]', message);
+    }
+  }
+
   logInfo(message) {
     if (this.options?.logger?.info) {
       this.options.logger.info(message);
@@ -0,0 +1,452 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createAppRules } = require('./appRules');
+const { createSelectionFilter } = require('./selectionFilter');
+const { migrateConfig } = require('./configMigrations');
+
+const SESSION_VERSION = 1;
+const POINT_FIELDS = ['mousePosStart', 'mousePosEnd', 'startTop', 'startBottom', 'endTop', 'endBottom'];
+// Time allowed after the last event for pending window lookups and hides to land.
+const REPLAY_SETTLE_MS = 500;
+const DEFAULT_DISPLAY = {
+  id: 0,
+  bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+  workArea: { x: 0, y: 0, width: 1920, height: 1040 },
+  scaleFactor: 1
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isPoint = (value) => value && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+// Keeps whitespace so empty selections still behave the same, but drops what was selected.
+const maskText = (text) => (typeof text === 'string' ? text.replace(/\S/g, '*') : text);
+
+const describeDisplay = (display) => ({
+  id: display.id,
+  bounds: { ...display.bounds },
+  workArea: { ...display.workArea },
+  scaleFactor: display.scaleFactor
+});
+
+/**
+ * Records the raw source events consumed by a SelectionService together with the display
+ * layout, the screen-to-DIP conversions Electron made for every point, the foreground window
+ * and the resulting toolbar timeline. Selected text is masked unless `includeText` is set.
+ */
+class SessionRecorder {
+  constructor(options) {
+    this.service = options.service;
+    this.screen = options.screen;
+    this.getActiveWindow = options.getActiveWindow;
+    this.config = options.config || {};
+    this.includeText = Boolean(options.includeText);
+
+    this.session = null;
+    this.startedAt = 0;
+    this.pending = [];
+  }
+
+  isRecording() {
+    return Boolean(this.session);
+  }
+
+  start() {
+    if (this.session) {
+      return;
+    }
+    this.startedAt = Date.now();
+    this.pending = [];
+    this.session = {
+      version: SESSION_VERSION,
+      recordedAt: new Date(this.startedAt).toISOString(),
+      platform: process.platform,
+      displays: this.screen.getAllDisplays().map(describeDisplay),
+      config: {
+        configVersion: this.config.configVersion,
+        delayedCopy: this.config.delayedCopy,
+        selectionAssistant: this.config.selectionAssistant,
+        appRules: this.config.appRules
+      },
+      toolbarSize: { ...this.service.toolbarSize },
+      events: [],
+      timeline: []
+    };
+
+    this.service.on('source-event', this.handleSourceEvent);
+    this.service.on('selection-requested', this.handleSelectionRequested);
+    this.service.on('toolbar-dismissed', this.handleToolbarDismissed);
+    this.service.on('toolbar-resized', this.handleToolbarResized);
+    this.service.on('toolbar-shown', this.handleToolbarShown);
+    this.service.on('toolbar-moved', this.handleToolbarMoved);
+    this.service.on('toolbar-hidden', this.handleToolbarHidden);
+  }
+
+  /** Stops recording and resolves with the finished session. */
+  async stop() {
+    if (!this.session) {
+      return null;
+    }
+    this.service.off('source-event', this.handleSourceEvent);
+    this.service.off('selection-requested', this.handleSelectionRequested);
+    this.service.off('toolbar-dismissed', this.handleToolbarDismissed);
+    this.service.off('toolbar-resized', this.handleToolbarResized);
+    this.service.off('toolbar-shown', this.handleToolbarShown);
+    this.service.off('toolbar-moved', this.handleToolbarMoved);
+    this.service.off('toolbar-hidden', this.handleToolbarHidden);
+
+    await Promise.all(this.pending);
+    const session = this.session;
+    this.session = null;
+    return session;
+  }
+
+  async save(directory) {
+    const session = await this.stop();
+    if (!session) {
+      return null;
+    }
+    const stamp = session.recordedAt.replace(/[:.]/g, '-');
+    const filePath = path.join(directory, `session-${stamp}.json`);
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify(session, null, 2)}\n`, 'utf-8');
+    return filePath;
+  }
+
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  convertPoints(points) {
+    if (typeof this.screen.screenToDipPoint !== 'function') {
+      return undefined;
+    }
+    return points.filter(isPoint).map((point) => {
+      const dip = this.screen.screenToDipPoint({ x: point.x, y: point.y });
+      return [point.x, point.y, dip.x, dip.y];
+    });
+  }
+
+  // Adds what positioning and filtering looked up while handling a selection: the cursor,
+  // the DIP conversion of each point and the foreground window.
+  captureSelectionContext(entry, selectionData) {
+    if (selectionData && !this.includeText) {
+      entry.data.text = maskText(entry.data.text);
+      if (entry.data.html) {
+        // Only whether markup was present matters to the bubble.
+        entry.data.html = '<masked>';
+      }
+    }
+    entry.cursor = this.screen.getCursorScreenPoint();
+    entry.dip = this.convertPoints([
+      ...POINT_FIELDS.map((field) => selectionData?.[field]),
+      entry.cursor
+    ]);
+    if (this.getActiveWindow) {
+      // Filled in asynchronously; stop() waits for it.
+      this.pending.push(
+        this.getActiveWindow()
+          .then((windowInfo) => {
+            entry.window = windowInfo
+              ? { processName: windowInfo.processName, path: windowInfo.path, title: windowInfo.title }
+              : null;
+          })
+          .catch(() => {
+            entry.window = null;
+          })
+      );
+    }
+  }
+
+  handleSourceEvent = ({ type, data }) => {
+    const entry = { t: this.elapsed(), type, data: data ? JSON.parse(JSON.stringify(data)) : {} };
+
+    if (type === 'text-selection') {
+      this.captureSelectionContext(entry, data);
+    } else if (type === 'mouse-down') {
+      entry.dip = this.convertPoints([data]);
+    }
+
+    this.session.events.push(entry);
+  };
+
+  // Shortcut and ctrl-key triggers read the selection on demand instead of receiving an event.
+  handleSelectionRequested = ({ trigger, selectionData }) => {
+    const entry = {
+      t: this.elapsed(),
+      type: 'selection-request',
+      data: selectionData ? JSON.parse(JSON.stringify(selectionData)) : null,
+      trigger
+    };
+    this.captureSelectionContext(entry, selectionData);
+    this.session.events.push(entry);
+  };
+
+  handleToolbarDismissed = () => {
+    this.session.events.push({ t: this.elapsed(), type: 'dismiss', data: {} });
+  };
+
+  handleToolbarResized = (size) => {
+    this.session.events.push({ t: this.elapsed(), type: 'toolbar-size', data: size });
+  };
+
+  handleToolbarShown = ({ bounds, text, program }) => {
+    this.session.timeline.push({
+      t: this.elapsed(),
+      type: 'show',
+      bounds,
+      text: this.includeText ? text : maskText(text),
+      program
+    });
+  };
+
+  handleToolbarMoved = ({ bounds }) => {
+    this.session.timeline.push({ t: this.elapsed(), type: 'move', bounds });
+  };
+
+  handleToolbarHidden = () => {
+    this.session.timeline.push({ t: this.elapsed(), type: 'hide' });
+  };
+}
+
+function createSessionRecorder(options) {
+  return new SessionRecorder(options);
+}
+
+const distanceToRect = (point, rect) => {
+  const dx = Math.max(rect.x - point.x, 0, point.x - (rect.x + rect.width));
+  const dy = Math.max(rect.y - point.y, 0, point.y - (rect.y + rect.height));
+  return Math.hypot(dx, dy);
+};
+
+/**
+ * Stands in for Electron's `screen` during a replay. Conversions recorded in the session are
+ * reused verbatim; other points are scaled by the display they fall on.
+ */
+const createVirtualScreen = (recordedDisplays) => {
+  const displays = recordedDisplays && recordedDisplays.length > 0 ? recordedDisplays : [DEFAULT_DISPLAY];
+  const conversions = new Map();
+  let cursor = { x: 0, y: 0 };
+
+  const key = (x, y) => `${x},${y}`;
+  const nearestDisplay = (point) =>
+    displays.reduce((best, display) =>
+      distanceToRect(point, display.bounds) < distanceToRect(point, best.bounds) ? display : best
+    );
+
+  return {
+    setCursor(point) {
+      if (isPoint(point)) {
+        cursor = { x: point.x, y: point.y };
+      }
+    },
+    addConversions(entries = []) {
+      entries.forEach(([x, y, dipX, dipY]) => conversions.set(key(x, y), { x: dipX, y: dipY }));
+    },
+    getAllDisplays: () => displays,
+    getCursorScreenPoint: () => ({ ...cursor }),
+    getDisplayNearestPoint: nearestDisplay,
+    screenToDipPoint(point) {
+      const recorded = conversions.get(key(point.x, point.y));
+      if (recorded) {
+        return { ...recorded };
+      }
+      const display = displays.find((candidate) => {
+        const scale = candidate.scaleFactor || 1;
+        const { x, y, width, height } = candidate.bounds;
+        return (
+          point.x >= x * scale &&
+          point.x < (x + width) * scale &&
+          point.y >= y * scale &&
+          point.y < (y + height) * scale
+        );
+      });
+      const scale = display?.scaleFactor || 1;
+      return { x: point.x / scale, y: point.y / scale };
+    }
+  };
+};
+
+// Records what the service does to its window instead of showing anything.
+const createHeadlessToolbar = () => {
+  let bounds = { x: 0, y: 0, width: 0, height: 0 };
+  let visible = false;
+  return {
+    webContents: { isLoading: () => false, once: () => {}, send: () => {} },
+    isDestroyed: () => false,
+    isVisible: () => visible,
+    getBounds: () => ({ ...bounds }),
+    setBounds: (next) => {
+      bounds = { ...next };
+    },
+    show: () => {
+      visible = true;
+    },
+    showInactive: () => {
+      visible = true;
+    },
+    hide: () => {
+      visible = false;
+    }
+  };
+};
+
+/**
+ * Feeds a recorded session through a fresh SelectionService backed by the fake source, a
+ * virtual screen and a headless toolbar, with the recorded timing. Resolves with the computed
+ * `timeline` of show / move / hide entries.
+ */
+const replaySession = async (session, options = {}) => {
+  // Loaded lazily so recording does not depend on the replay-only pieces.
+  const { SelectionService } = require('./selectionService');
+  const virtualScreen = createVirtualScreen(session.displays);
+  let activeWindow = null;
+
+  const service = new SelectionService({
+    screen: virtualScreen,
+    getActiveWindow: async () => activeWindow,
+    logger: options.logger || { debug: () => {}, info: () => {}, error: () => {} }
+  });
+  service.toolbarWindow = createHeadlessToolbar();
+  if (session.toolbarSize) {
+    service.setToolbarSize(session.toolbarSize.width, session.toolbarSize.height);
+  }
+
+  // Sessions embed the config of the app that recorded them, possibly an older version.
+  const { config } = migrateConfig(session.config || {});
+  service.updateConfig({
+    source: 'fake',
+    appRules: createAppRules(config),
+    selectionFilter: createSelectionFilter(config.selectionAssistant),
+    selectionTriggerMode: config.selectionAssistant?.triggerMode,
+    zoomFactor: config.selectionAssistant?.zoomFactor,
+    preferredSide: config.selectionAssistant?.preferredSide
+  });
+  if (!(await service.start())) {
+    throw new Error('Failed to start the replay selection service');
+  }
+
+  const startedAt = Date.now();
+  const timeline = [];
+  const elapsed = () => Date.now() - startedAt;
+  service.on('toolbar-shown', ({ bounds, text, program }) => {
+    timeline.push({ t: elapsed(), type: 'show', bounds, text, program });
+  });
+  service.on('toolbar-moved', ({ bounds }) => timeline.push({ t: elapsed(), type: 'move', bounds }));
+  service.on('toolbar-hidden', () => timeline.push({ t: elapsed(), type: 'hide' }));
+
+  const events = session.events || [];
+  const applyContext = (event) => {
+    virtualScreen.addConversions(event.dip);
+    virtualScreen.setCursor(event.cursor);
+    activeWindow = event.window || null;
+  };
+
+  // On-demand reads (shortcut and ctrl-key triggers) get the recorded answers in order. The
+  // ctrl-key ones are requested by the replayed key events themselves.
+  const requests = events.filter((event) => event.type === 'selection-request');
+  service.source.getCurrentSelection = () => {
+    const request = requests.shift();
+    if (!request) {
+      return null;
+    }
+    applyContext(request);
+    return request.data ? { ...request.data } : null;
+  };
+
+  try {
+    for (const event of events) {
+      await wait(Math.max(0, event.t - elapsed()));
+      switch (event.type) {
+        case 'toolbar-size':
+          service.setToolbarSize(event.data.width, event.data.height);
+          break;
+        case 'dismiss':
+          service.dismissToolbar();
+          break;
+        case 'selection-request':
+          if (event.trigger === 'shortcut') {
+            service.showForCurrentSelection(event.trigger);
+          }
+          break;
+        case 'text-selection':
+          applyContext(event);
+          service.source.dispatch({ type: event.type, data: event.data });
+          break;
+        default:
+          virtualScreen.addConversions(event.dip);
+          service.source.dispatch({ type: event.type, data: event.data });
+      }
+    }
+    await wait(REPLAY_SETTLE_MS);
+  } finally {
+    service.removeAllListeners();
+    service.quit();
+  }
+
+  return { timeline };
+};
+
+/**
+ * Compares two timelines by entry type and bounds, ignoring timing. Returns one
+ * `{ index, expected, actual }` entry per mismatch.
+ */
+const compareTimelines = (expected = [], actual = []) => {
+  const describe = (entry) => (entry ? { type: entry.type, bounds: entry.bounds } : null);
+  const differences = [];
+  for (let index = 0; index < Math.max(expected.length, actual.length); index += 1) {
+    const left = describe(expected[index]);
+    const right = describe(actual[index]);
+    if (JSON.stringify(left) !== JSON.stringify(right)) {
+      differences.push({ index, expected: left, actual: right });
+    }
+  }
+  return differences;
+};
+
+const readSession = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+// Usage: node selectionSession.js <session.json> [--expected <file.json>] [--out <result.json>]
+const runCli = async (args) => {
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  const sessionPath = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+  if (!sessionPath) {
+    throw new Error('Usage: selectionSession.js <session.json> [--expected <file.json>] [--out <result.json>]');
+  }
+
+  const session = await readSession(sessionPath);
+  const expectedPath = option('--expected');
+  const expected = expectedPath ? (await readSession(expectedPath)).timeline : session.timeline;
+
+  const { timeline } = await replaySession(session);
+  const result = { session: sessionPath, timeline, differences: compareTimelines(expected, timeline) };
+  const output = `${JSON.stringify(result, null, 2)}\n`;
+
+  const outPath = option('--out');
+  if (outPath) {
+    await fs.writeFile(outPath, output, 'utf-8');
+  } else {
+    process.stdout.write(output);
+  }
+  return result.differences.length === 0;
+};
+
+if (require.main === module) {
+  runCli(process.argv.slice(2))
+    .then((matched) => process.exit(matched ? 0 : 1))
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(2);
+    });
+}
+
+module.exports = {
+  createSessionRecorder,
+  SessionRecorder,
+  replaySession,
+  compareTimelines,
+  createVirtualScreen
+};
@@ -0,0 +1,199 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/**
+ * A selection source is an EventEmitter that reports global selection activity to
+ * SelectionService. Events:
+ *
+ * - `text-selection` (selectionData): `{ text, programName, posLevel, mousePosStart, mousePosEnd,
+ *   startTop, startBottom, endTop, endBottom }`; points are physical screen coordinates and
+ *   `posLevel` is one of `PositionLevel`.
+ * - `mouse-down` ({ x, y }), `mouse-wheel` (), `key-down` / `key-up` ({ vkCode }) with Windows
+ *   virtual-key codes. Sources that cannot observe global input simply never emit these.
+ * - `error` (Error).
+ *
+ * Methods: `start()` and `stop()` return whether they succeeded, `getCurrentSelection()` returns
+ * selectionData or null, `writeToClipboard(text)` returns false when the caller should fall back
+ * to Electron's clipboard. `setSelectionPassiveMode(passive)` and `cleanup()` are optional.
+ *
+ * A source that never emits the input events can set `autoHideMs`: the bubble then hides after
+ * that long when `selectionAssistant.autoHideMs` is `0`, since nothing else would close it.
+ */
+
+const SELECTION_EVENTS = ['text-selection', 'mouse-down', 'mouse-wheel', 'key-down', 'key-up'];
+
+const PositionLevel = {
+  NONE: 0,
+  MOUSE_SINGLE: 1,
+  MOUSE_DUAL: 2,
+  SEL_FULL: 3,
+  SEL_DETAILED: 4
+};
+
+let nativeHookModule;
+const loadNativeHook = () => {
+  if (nativeHookModule === undefined) {
+    try {
+      nativeHookModule = require('selection-hook');
+    } catch (error) {
+      // Native module not available (likely non-Windows); handled gracefully by consumers.
+      console.warn('[SelectionSources] selection-hook not available:', error.message);
+      nativeHookModule = null;
+    }
+  }
+  return nativeHookModule;
+};
+
+/** Adapts the `selection-hook` native module to the selection-source interface. */
+class SelectionHookSource extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const SelectionHook = loadNativeHook();
+    this.debug = Boolean(options.debug);
+    this.hook = new SelectionHook();
+    if (!this.hook) {
+      throw new Error('Failed to instantiate selection-hook');
+    }
+
+    // Translate the native enum by name in case its numbering ever differs from ours.
+    const nativeLevels = SelectionHook.PositionLevel || {};
+    this.positionLevels = new Map(
+      Object.entries(nativeLevels).map(([name, value]) => [value, PositionLevel[name]])
+    );
+
+    SELECTION_EVENTS.forEach((event) => {
+      this.hook.on(event, (data) => {
+        this.emit(event, event === 'text-selection' ? this.normalizeSelection(data) : data);
+      });
+    });
+    this.hook.on('error', (error) => this.emit('error', error));
+  }
+
+  normalizeSelection(selectionData) {
+    if (!selectionData) {
+      return selectionData;
+    }
+    const posLevel = this.positionLevels.get(selectionData.posLevel);
+    return { ...selectionData, posLevel: posLevel ?? PositionLevel.NONE };
+  }
+
+  start() {
+    return this.hook.start({ debug: this.debug });
+  }
+
+  stop() {
+    return this.hook.stop();
+  }
+
+  cleanup() {
+    this.hook.cleanup?.();
+    this.hook.removeAllListeners?.();
+    this.removeAllListeners();
+  }
+
+  setSelectionPassiveMode(passive) {
+    this.hook.setSelectionPassiveMode?.(passive);
+  }
+
+  getCurrentSelection() {
+    return this.normalizeSelection(this.hook.getCurrentSelection() || null);
+  }
+
+  writeToClipboard(text) {
+    return this.hook.writeToClipboard(text);
+  }
+}
+
+const sourceTypes = new Map();
+
+const registerSelectionSource = (name, definition) => {
+  sourceTypes.set(name, {
+    isSupported: () => true,
+    ...definition
+  });
+};
+
+registerSelectionSource('selection-hook', {
+  isSupported: () => Boolean(loadNativeHook()),
+  create: (options) => new SelectionHookSource(options)
+});
+
+registerSelectionSource('primary', {
+  isSupported: () => process.platform === 'linux',
+  create: (options) => {
+    const { PrimarySelectionSource } = require('./primarySelectionSource');
+    return new PrimarySelectionSource(options);
+  }
+});
+
+registerSelectionSource('fake', {
+  create: (options) => {
+    const { FakeSelectionSource } = require('./fakeSelectionSource');
+    return new FakeSelectionSource(options);
+  }
+});
+
+const resolveSourceName = (name) => {
+  if (name && name !== 'auto') {
+    return name;
+  }
+  return process.platform === 'linux' ? 'primary' : 'selection-hook';
+};
+
+const isModulePath = (name) => /[\\/]/.test(name) || name.endsWith('.js');
+
+// Third-party backends are plain modules exporting `createSelectionSource(options)` and,
+// optionally, `isSupported()`. Relative paths resolve against `options.baseDirectory`.
+const loadSourceModule = (name, options) => {
+  const modulePath = path.resolve(options.baseDirectory || process.cwd(), name);
+  const exported = require(modulePath);
+  const create = exported?.createSelectionSource || (typeof exported === 'function' ? exported : null);
+  if (!create) {
+    throw new Error(`${modulePath} does not export createSelectionSource()`);
+  }
+  return {
+    isSupported: () => (typeof exported.isSupported === 'function' ? exported.isSupported() : true),
+    create
+  };
+};
+
+const getSourceDefinition = (name, options = {}) => {
+  const resolved = resolveSourceName(name);
+  const definition = sourceTypes.get(resolved);
+  if (definition) {
+    return definition;
+  }
+  if (isModulePath(resolved)) {
+    return loadSourceModule(resolved, options);
+  }
+  throw new Error(`Unknown selection source "${resolved}"`);
+};
+
+const isSelectionSourceAvailable = (name, options = {}) => {
+  try {
+    return Boolean(getSourceDefinition(name, options).isSupported());
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Creates the source registered under `name` (`auto` picks the platform default) or loads it
+ * from a module path. Throws when the source is unknown, unsupported or fails to construct.
+ */
+const createSelectionSource = (name, options = {}) => {
+  const definition = getSourceDefinition(name, options);
+  if (!definition.isSupported()) {
+    throw new Error(`Selection source "${resolveSourceName(name)}" is not supported on ${process.platform}`);
+  }
+  return definition.create(options);
+};
+
+module.exports = {
+  createSelectionSource,
+  isSelectionSourceAvailable,
+  registerSelectionSource,
+  resolveSourceName,
+  PositionLevel,
+  SELECTION_EVENTS
+};
@@ -0,0 +1,204 @@
+// Policy per category, from least to most restrictive: `ignore` does nothing, `warn` shows a
+// badge on the bubble, `clear` also clears the clipboard a while after copying, `hide`
+// suppresses the bubble entirely.
+const SENSITIVE_ACTIONS = ['ignore', 'warn', 'clear', 'hide'];
+
+const digitsOnly = (value) => value.replace(/\D/g, '');
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const passesIbanChecksum = (iban) => {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const character of rearranged) {
+    const value = /\d/.test(character) ? character : String(character.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+const CN_ID_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+const CN_ID_CHECK = '10X98765432';
+
+const passesChineseIdChecksum = (id) => {
+  const sum = CN_ID_WEIGHTS.reduce((total, weight, index) => total + weight * Number(id[index]), 0);
+  return CN_ID_CHECK[sum % 11] === id[17].toUpperCase();
+};
+
+// Each detector lists global regexes; `validate` weeds out matches that only look right.
+const DETECTORS = {
+  card: [
+    {
+      pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+      validate: (match) => {
+        const digits = digitsOnly(match);
+        return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+      }
+    }
+  ],
+  iban: [
+    {
+      pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+      validate: (match) => {
+        const iban = match.replace(/ /g, '');
+        return iban.length >= 15 && iban.length <= 34 && passesIbanChecksum(iban);
+      }
+    }
+  ],
+  nationalId: [
+    // US social security number.
+    { pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+    // Chinese resident identity card number.
+    {
+      pattern: /\b[1-9]\d{5}(?:19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{3}[\dXx]\b/g,
+      validate: passesChineseIdChecksum
+    }
+  ],
+  jwt: [{ pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{10,}/g }],
+  privateKey: [
+    {
+      pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g
+    }
+  ],
+  apiKey: [
+    { pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+    { pattern: /\bgithub_pat_\w{40,}\b/g },
+    { pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { pattern: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+    { pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}\b/g }
+  ]
+};
+
+const SENSITIVE_CATEGORIES = Object.keys(DETECTORS);
+
+const DEFAULT_POLICY = {
+  card: 'hide',
+  iban: 'warn',
+  nationalId: 'warn',
+  jwt: 'hide',
+  privateKey: 'hide',
+  apiKey: 'hide'
+};
+
+const actionRank = (action) => Math.max(0, SENSITIVE_ACTIONS.indexOf(action));
+
+const findMatches = (text, detectors) => {
+  const matches = [];
+  detectors.forEach(({ pattern, validate }) => {
+    pattern.lastIndex = 0;
+    let match = pattern.exec(text);
+    while (match) {
+      if (match[0] && (!validate || validate(match[0]))) {
+        matches.push({ start: match.index, end: match.index + match[0].length });
+      }
+      if (match[0].length === 0) {
+        pattern.lastIndex += 1;
+      }
+      match = pattern.exec(text);
+    }
+  });
+  return matches;
+};
+
+const compileCustomPatterns = (entries) =>
+  (Array.isArray(entries) ? entries : []).flatMap((entry) => {
+    try {
+      const flags = `${(entry.flags || '').replace(/g/g, '')}g`;
+      return [
+        {
+          category: entry.name,
+          action: SENSITIVE_ACTIONS.includes(entry.action) ? entry.action : 'warn',
+          detectors: [{ pattern: new RegExp(entry.pattern, flags) }]
+        }
+      ];
+    } catch (error) {
+      // Invalid patterns are rejected by the config schema.
+      return [];
+    }
+  });
+
+/**
+ * Builds the detector for the `sensitiveContent` config. `inspect(text)` returns the most
+ * restrictive `action` among the matching categories plus their names; `redact(text)`
+ * replaces every match, whatever its policy, and is used before anything is logged.
+ */
+const createSensitiveGuard = (config = {}) => {
+  const policy = { ...DEFAULT_POLICY, ...config.categories };
+  const enabled = config.enabled !== false;
+  const checks = [
+    ...SENSITIVE_CATEGORIES.map((category) => ({
+      category,
+      action: policy[category],
+      detectors: DETECTORS[category]
+    })),
+    ...compileCustomPatterns(config.customPatterns)
+  ];
+
+  const inspect = (text) => {
+    const result = { action: 'ignore', categories: [] };
+    if (!enabled || typeof text !== 'string' || !text) {
+      return result;
+    }
+    checks.forEach(({ category, action, detectors }) => {
+      if (action === 'ignore' || findMatches(text, detectors).length === 0) {
+        return;
+      }
+      result.categories.push(category);
+      if (actionRank(action) > actionRank(result.action)) {
+        result.action = action;
+      }
+    });
+    return result;
+  };
+
+  const redact = (text) => {
+    if (typeof text !== 'string' || !text) {
+      return text;
+    }
+    const ranges = checks
+      .flatMap(({ category, detectors }) =>
+        findMatches(text, detectors).map((range) => ({ ...range, category }))
+      )
+      .sort((left, right) => left.start - right.start);
+
+    let result = '';
+    let cursor = 0;
+    ranges.forEach(({ start, end, category }) => {
+      if (start < cursor) {
+        return;
+      }
+      result += `${text.slice(cursor, start)}[redacted:${category}]`;
+      cursor = end;
+    });
+    return result + text.slice(cursor);
+  };
+
+  return {
+    inspect,
+    redact,
+    clearAfterSeconds: Number(config.clearAfterSeconds) || 30
+  };
+};
+
+module.exports = {
+  createSensitiveGuard,
+  SENSITIVE_ACTIONS,
+  SENSITIVE_CATEGORIES
+};
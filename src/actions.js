@@ -0,0 +1,130 @@
+import { t } from './i18n.js';
+
+const DEFAULT_SEARCH_TEMPLATE = 'https://www.google.com/search?q={query}';
+const URL_PATTERN = /^(https?:\/\/)?([\w-]+\.)+[a-z]{2,}(:\d+)?(\/\S*)?$/i;
+
+const actionTypes = new Map();
+
+// Built-in types name a `labelKey` so their label follows the UI language; a configured `label`
+// always wins.
+export const registerActionType = (type, definition) => {
+  actionTypes.set(type, {
+    label: type,
+    icon: '',
+    isAvailable: () => true,
+    ...definition
+  });
+};
+
+export const buildSearchUrl = (template, text) => {
+  const source = typeof template === 'string' && template ? template : DEFAULT_SEARCH_TEMPLATE;
+  const encoded = encodeURIComponent(text);
+  return source.includes('{query}') ? source.split('{query}').join(encoded) : `${source}${encoded}`;
+};
+
+export const toNavigableUrl = (text) => {
+  const candidate = typeof text === 'string' ? text.trim() : '';
+  if (!candidate || /\s/.test(candidate) || !URL_PATTERN.test(candidate)) {
+    return null;
+  }
+  try {
+    const url = new URL(/^https?:\/\//i.test(candidate) ? candidate : `https://${candidate}`);
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+// `isAvailable` receives the selection text and `{ html }`, the selected markup when the source
+// provides it.
+const hasMarkup = (_text, selection) => Boolean(selection?.html);
+
+registerActionType('copy', {
+  labelKey: 'bubble.action.copy',
+  icon: '⧉',
+  keepOpen: true,
+  run: (context) => context.copy()
+});
+
+registerActionType('copy-markdown', {
+  labelKey: 'bubble.action.copyMarkdown',
+  icon: 'M↓',
+  keepOpen: true,
+  isAvailable: hasMarkup,
+  run: (context) => context.copy('markdown')
+});
+
+registerActionType('copy-plain', {
+  labelKey: 'bubble.action.copyPlain',
+  icon: 'T',
+  keepOpen: true,
+  isAvailable: hasMarkup,
+  run: (context) => context.copy('plain')
+});
+
+// `template` names an entry of `citationTemplates` or a built-in preset; the main process fills it in.
+registerActionType('cite', {
+  labelKey: 'bubble.action.cite',
+  icon: '❝',
+  keepOpen: true,
+  run: (context) => context.copy('citation', { template: context.action.template || 'markdown' })
+});
+
+registerActionType('search', {
+  labelKey: 'bubble.action.search',
+  icon: '⌕',
+  run: (context) => context.openExternal(buildSearchUrl(context.action.urlTemplate, context.text))
+});
+
+registerActionType('open-url', {
+  labelKey: 'bubble.action.openUrl',
+  icon: '↗',
+  isAvailable: (text) => Boolean(toNavigableUrl(text)),
+  run: (context) => context.openExternal(toNavigableUrl(context.text))
+});
+
+export const DEFAULT_BUBBLE_ACTIONS = [
+  { id: 'copy', enabled: true },
+  { id: 'copy-markdown', enabled: true },
+  { id: 'copy-plain', enabled: true },
+  { id: 'search', enabled: true, urlTemplate: DEFAULT_SEARCH_TEMPLATE },
+  { id: 'open-url', enabled: true },
+  { id: 'cite', enabled: true, template: 'markdown' }
+];
+
+const definitionLabel = (definition) => (definition.labelKey ? t(definition.labelKey) : definition.label);
+
+export const resolveBubbleActions = (configured) => {
+  const source = Array.isArray(configured) ? configured : DEFAULT_BUBBLE_ACTIONS;
+  const resolved = [];
+  const seen = new Set();
+
+  source.forEach((entry) => {
+    if (!entry || typeof entry !== 'object' || entry.enabled === false) {
+      return;
+    }
+    const id = typeof entry.id === 'string' ? entry.id : '';
+    const type = typeof entry.type === 'string' ? entry.type : id;
+    const definition = actionTypes.get(type);
+    if (!id || !definition || seen.has(id)) {
+      return;
+    }
+    seen.add(id);
+    resolved.push({
+      ...entry,
+      id,
+      type,
+      label: typeof entry.label === 'string' ? entry.label : definitionLabel(definition),
+      icon: typeof entry.icon === 'string' ? entry.icon : definition.icon,
+      keepOpen: Boolean(definition.keepOpen),
+      isAvailable: definition.isAvailable,
+      run: definition.run
+    });
+  });
+
+  if (resolved.length === 0 && source !== DEFAULT_BUBBLE_ACTIONS) {
+    return resolveBubbleActions([{ id: 'copy', enabled: true }]);
+  }
+
+  return resolved;
+};
@@ -0,0 +1,164 @@
+import { getLocale, setupPageLocale, t } from './i18n.js';
+import { setupPageTheme } from './pageTheme.js';
+
+const selectionBridge = window.selectionCopy ?? {};
+const searchInput = document.getElementById('history-search');
+const clearButton = document.getElementById('history-clear');
+const list = document.getElementById('history-list');
+const emptyState = document.getElementById('history-empty');
+const feedback = document.getElementById('history-feedback');
+
+const SEARCH_DEBOUNCE_MS = 150;
+const FEEDBACK_TIMEOUT = 1200;
+
+const state = {
+  query: '',
+  searchTimeoutId: null,
+  feedbackTimeoutId: null,
+  timeFormatter: null
+};
+
+const createTimeFormatter = () =>
+  new Intl.DateTimeFormat(getLocale(), {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+const showFeedback = (message) => {
+  if (state.feedbackTimeoutId) {
+    clearTimeout(state.feedbackTimeoutId);
+  }
+  feedback.textContent = message;
+  state.feedbackTimeoutId = window.setTimeout(() => {
+    feedback.textContent = '';
+    state.feedbackTimeoutId = null;
+  }, FEEDBACK_TIMEOUT);
+};
+
+const createActionButton = (label, className, onClick) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `history-action ${className}`.trim();
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+const renderEntry = (entry) => {
+  const item = document.createElement('li');
+  item.className = 'history-entry';
+
+  const text = document.createElement('p');
+  text.className = 'history-text';
+  text.textContent = entry.text;
+  text.title = entry.text;
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+
+  const time = document.createElement('span');
+  time.textContent = state.timeFormatter.format(new Date(entry.timestamp));
+  meta.appendChild(time);
+
+  if (entry.program) {
+    const program = document.createElement('span');
+    program.textContent = entry.program;
+    meta.appendChild(program);
+  }
+
+  meta.appendChild(createActionButton(t('history.copy'), '', () => handleCopyEntry(entry.id)));
+  meta.appendChild(createActionButton(t('history.delete'), 'secondary', () => handleDeleteEntry(entry.id)));
+
+  item.appendChild(text);
+  item.appendChild(meta);
+  return item;
+};
+
+const refreshList = async () => {
+  if (typeof selectionBridge.listHistory !== 'function') {
+    return;
+  }
+
+  try {
+    const entries = await selectionBridge.listHistory(state.query);
+    list.replaceChildren(...entries.map(renderEntry));
+    emptyState.textContent = t(state.query ? 'history.noMatches' : 'history.empty');
+    emptyState.classList.toggle('hidden', entries.length > 0);
+    clearButton.disabled = entries.length === 0 && !state.query;
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'history#list', message: error.message });
+  }
+};
+
+const handleCopyEntry = async (id) => {
+  try {
+    const copied = await selectionBridge.copyHistoryEntry?.(id);
+    showFeedback(t(copied ? 'history.copied' : 'history.copyFailed'));
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'history#copy', message: error.message });
+  }
+};
+
+const handleDeleteEntry = async (id) => {
+  try {
+    await selectionBridge.deleteHistoryEntry?.(id);
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'history#delete', message: error.message });
+  }
+};
+
+const handleClear = async () => {
+  if (!window.confirm(t('history.confirmClear'))) {
+    return;
+  }
+  try {
+    await selectionBridge.clearHistory?.();
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'history#clear', message: error.message });
+  }
+};
+
+const handleSearchInput = () => {
+  if (state.searchTimeoutId) {
+    clearTimeout(state.searchTimeoutId);
+  }
+  state.searchTimeoutId = window.setTimeout(() => {
+    state.searchTimeoutId = null;
+    state.query = searchInput.value;
+    refreshList();
+  }, SEARCH_DEBOUNCE_MS);
+};
+
+// Entries are built in code, so a language change re-renders them with the new labels and dates.
+const handleLocaleChange = () => {
+  state.timeFormatter = createTimeFormatter();
+  refreshList();
+};
+
+const init = async () => {
+  const pageTheme = setupPageTheme(selectionBridge);
+  state.timeFormatter = createTimeFormatter();
+  await setupPageLocale(selectionBridge, handleLocaleChange);
+
+  if (typeof selectionBridge.onHistoryUpdated === 'function') {
+    selectionBridge.onHistoryUpdated(refreshList);
+  }
+
+  if (typeof selectionBridge.readConfig === 'function') {
+    try {
+      const config = await selectionBridge.readConfig();
+      pageTheme.setTheme(config?.theme);
+    } catch (error) {
+      selectionBridge.logError?.({ scope: 'history#init', message: error.message });
+    }
+  }
+
+  searchInput.addEventListener('input', handleSearchInput);
+  clearButton.addEventListener('click', handleClear);
+  await refreshList();
+  searchInput.focus();
+};
+
+init().catch((error) => {
+  selectionBridge.logError?.({ scope: 'history#init', message: error.message });
+});
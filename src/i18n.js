@@ -0,0 +1,70 @@
+/**
+ * Renderer side of the i18n layer. The main process resolves the language and sends the merged
+ * message table, so pages never read locale files themselves. Markup opts in with `data-i18n`
+ * (text content), `data-i18n-title`, `data-i18n-placeholder` and `data-i18n-aria-label`; keys
+ * without a message keep the English text already in the markup.
+ */
+const state = {
+  locale: 'en',
+  messages: {}
+};
+
+const ATTRIBUTE_BINDINGS = [
+  ['data-i18n-title', 'title'],
+  ['data-i18n-placeholder', 'placeholder'],
+  ['data-i18n-aria-label', 'aria-label']
+];
+
+export const hasMessage = (key) => typeof state.messages[key] === 'string';
+
+export const t = (key, values = {}) =>
+  (hasMessage(key) ? state.messages[key] : key).replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] === undefined ? match : String(values[name])
+  );
+
+export const getLocale = () => state.locale;
+
+export const applyTranslations = (root = document) => {
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    if (hasMessage(element.dataset.i18n)) {
+      element.textContent = t(element.dataset.i18n);
+    }
+  });
+  ATTRIBUTE_BINDINGS.forEach(([source, target]) => {
+    root.querySelectorAll(`[${source}]`).forEach((element) => {
+      const key = element.getAttribute(source);
+      if (hasMessage(key)) {
+        element.setAttribute(target, t(key));
+      }
+    });
+  });
+  document.documentElement.lang = state.locale;
+};
+
+/**
+ * Loads the current locale and follows later changes; `onChange(locale)` runs after each one so
+ * pages can re-render strings they build in code. Resolves once the first table is applied.
+ */
+export const setupPageLocale = async (selectionBridge, onChange = () => {}) => {
+  const applyLocale = (payload) => {
+    if (!payload || typeof payload.messages !== 'object') {
+      return;
+    }
+    state.locale = payload.locale;
+    state.messages = payload.messages;
+    applyTranslations();
+    onChange(state.locale);
+  };
+
+  if (typeof selectionBridge.onLocaleUpdated === 'function') {
+    selectionBridge.onLocaleUpdated(applyLocale);
+  }
+
+  if (typeof selectionBridge.readLocale === 'function') {
+    try {
+      applyLocale(await selectionBridge.readLocale());
+    } catch (error) {
+      selectionBridge.logError?.({ scope: 'i18n#read', message: error.message });
+    }
+  }
+};
@@ -0,0 +1,133 @@
+import { setupPageTheme } from './pageTheme.js';
+
+const selectionBridge = window.selectionCopy ?? {};
+const filtersForm = document.getElementById('logs-filters');
+const exportButton = document.getElementById('logs-export');
+const rows = document.getElementById('logs-rows');
+const emptyState = document.getElementById('logs-empty');
+const status = document.getElementById('logs-status');
+
+const FILTER_DEBOUNCE_MS = 200;
+const ENTRY_LIMIT = 1000;
+
+const state = {
+  filterTimeoutId: null
+};
+
+const timeFormatter = new Intl.DateTimeFormat(undefined, {
+  dateStyle: 'short',
+  timeStyle: 'medium'
+});
+
+const toIsoOrEmpty = (value) => (value ? new Date(value).toISOString() : '');
+
+const readFilters = () => {
+  const data = new FormData(filtersForm);
+  return {
+    level: data.get('level'),
+    scope: data.get('scope'),
+    from: toIsoOrEmpty(data.get('from')),
+    to: toIsoOrEmpty(data.get('to')),
+    limit: ENTRY_LIMIT
+  };
+};
+
+const renderEntry = (entry) => {
+  const row = document.createElement('tr');
+  row.className = `logs-row level-${entry.level}`;
+
+  const cells = [
+    timeFormatter.format(new Date(entry.timestamp)),
+    entry.level,
+    entry.scope || '',
+    entry.message
+  ];
+  cells.forEach((value) => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+
+  const data = entry.data && Object.keys(entry.data).length > 0 ? JSON.stringify(entry.data, null, 2) : '';
+  if (data) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Details';
+    const pre = document.createElement('pre');
+    pre.textContent = data;
+    details.appendChild(summary);
+    details.appendChild(pre);
+    row.lastChild.appendChild(details);
+  }
+
+  return row;
+};
+
+const refreshEntries = async () => {
+  if (typeof selectionBridge.readLogs !== 'function') {
+    return;
+  }
+  try {
+    const entries = await selectionBridge.readLogs(readFilters());
+    rows.replaceChildren(...entries.map(renderEntry));
+    emptyState.classList.toggle('hidden', entries.length > 0);
+    status.textContent =
+      entries.length >= ENTRY_LIMIT ? `Showing the newest ${ENTRY_LIMIT} entries` : `${entries.length} entries`;
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'logs#read', message: error.message });
+  }
+};
+
+const queueRefresh = () => {
+  if (state.filterTimeoutId) {
+    clearTimeout(state.filterTimeoutId);
+  }
+  state.filterTimeoutId = window.setTimeout(() => {
+    state.filterTimeoutId = null;
+    refreshEntries();
+  }, FILTER_DEBOUNCE_MS);
+};
+
+const handleExport = async () => {
+  if (typeof selectionBridge.exportDiagnostics !== 'function') {
+    return;
+  }
+  exportButton.disabled = true;
+  try {
+    const result = await selectionBridge.exportDiagnostics();
+    if (result?.ok) {
+      status.textContent = `Saved ${result.filePath}`;
+    } else if (!result?.canceled) {
+      status.textContent = `Export failed: ${result?.error || 'unknown error'}`;
+    }
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'logs#export', message: error.message });
+  } finally {
+    exportButton.disabled = false;
+  }
+};
+
+const init = async () => {
+  const pageTheme = setupPageTheme(selectionBridge);
+
+  if (typeof selectionBridge.readConfig === 'function') {
+    try {
+      const config = await selectionBridge.readConfig();
+      pageTheme.setTheme(config?.theme);
+    } catch (error) {
+      selectionBridge.logError?.({ scope: 'logs#init', message: error.message });
+    }
+  }
+
+  filtersForm.addEventListener('input', queueRefresh);
+  filtersForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    refreshEntries();
+  });
+  exportButton.addEventListener('click', handleExport);
+  await refreshEntries();
+};
+
+init().catch((error) => {
+  selectionBridge.logError?.({ scope: 'logs#init', message: error.message });
+});
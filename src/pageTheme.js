@@ -0,0 +1,37 @@
+const prefersDark = () => window.matchMedia('(prefers-color-scheme: dark)').matches;
+const THEMES = ['light', 'dark', 'high-contrast'];
+
+/**
+ * Keeps `data-theme` on a secondary window in sync with the configured theme and the OS theme.
+ * Returns a setter for the configured theme so pages can apply the config they read at startup.
+ */
+export const setupPageTheme = (selectionBridge) => {
+  const state = {
+    theme: 'system',
+    systemTheme: prefersDark() ? 'dark' : 'light'
+  };
+
+  const applyThemePreference = () => {
+    const resolved = state.theme === 'system' ? state.systemTheme : state.theme;
+    document.documentElement.dataset.theme = THEMES.includes(resolved) ? resolved : 'light';
+  };
+
+  const setTheme = (theme) => {
+    state.theme = theme || 'system';
+    applyThemePreference();
+  };
+
+  if (typeof selectionBridge.onConfigUpdated === 'function') {
+    selectionBridge.onConfigUpdated((config) => setTheme(config?.theme));
+  }
+
+  if (typeof selectionBridge.onNativeTheme === 'function') {
+    selectionBridge.onNativeTheme((mode) => {
+      state.systemTheme = THEMES.includes(mode) ? mode : 'light';
+      applyThemePreference();
+    });
+  }
+
+  applyThemePreference();
+  return { setTheme };
+};
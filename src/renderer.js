@@ -1,61 +1,91 @@
+import { DEFAULT_BUBBLE_ACTIONS, resolveBubbleActions } from './actions.js';
+import { hasRichContent, htmlToMarkdown, htmlToRtf } from './richFormats.js';
+import { hasMessage, setupPageLocale, t } from './i18n.js';
+
 const selectionBridge = window.selectionCopy ?? {};
 const params = new URLSearchParams(window.location.search);
 const isOverlayMode = params.get('overlay') === '1';
 document.documentElement.dataset.mode = isOverlayMode ? 'overlay' : 'demo';
+
+// Whatever escapes the handlers below still reaches the log, tagged with the page mode.
+const reportUncaught = (scope, error, details = {}) => {
+  selectionBridge.logError?.({
+    scope,
+    mode: isOverlayMode ? 'overlay' : 'demo',
+    message: error?.message ?? String(error),
+    stack: error?.stack,
+    ...details
+  });
+};
+window.addEventListener('error', (event) => {
+  reportUncaught('renderer#uncaught', event.error ?? event.message, {
+    source: event.filename,
+    line: event.lineno,
+    column: event.colno
+  });
+});
+window.addEventListener('unhandledrejection', (event) => {
+  reportUncaught('renderer#unhandledRejection', event.reason);
+});
+
 const bubble = document.getElementById('copy-bubble');
-const copyButton = document.getElementById('copy-button');
+const actionsContainer = document.getElementById('bubble-actions');
 const feedback = document.getElementById('copy-feedback');
+const sensitiveBadge = document.getElementById('sensitive-badge');
+const collectControls = document.getElementById('collect-controls');
+const collectCount = document.getElementById('collect-count');
+const collectUndoButton = document.getElementById('collect-undo');
+const collectClearButton = document.getElementById('collect-clear');
 
 const VIEWPORT_PADDING = 12;
+const THEMES = ['light', 'dark', 'high-contrast'];
+// Arrow keys move between actions and wrap around, like Tab inside the overlay.
+const ACTION_FOCUS_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
 const FEEDBACK_TIMEOUT = 1200;
 const ACTIVE_APP_CACHE_MS = 1200;
 
+// App rules (blacklist, filters, per-app delays) are evaluated in the main process and arrive
+// with each selection as `behavior`, so only presentation defaults live here.
 const DEFAULT_CONFIG = {
-  blacklist: [
-    'excel.exe',
-    'powerpnt.exe',
-    'photoshop.exe',
-    'acad.exe',
-    'mstsc.exe',
-    'snipaste.exe',
-    'illustrator.exe'
-  ],
   delayedCopy: {
-    defaultDelayMs: 0,
-    apps: {
-      'acrobat.exe': 320,
-      'acrord32.exe': 320,
-      'wps.exe': 280,
-      'wpspdf.exe': 280,
-      'foxitreader.exe': 260
-    }
+    defaultDelayMs: 0
   },
   animations: {
     enable: true
   },
+  selectionAssistant: {
+    autoHideMs: 0
+  },
   theme: 'system',
   bubbleStyle: {
     accentColor: '#4c82ff',
     textColor: '#ffffff',
     backgroundColor: 'rgba(31, 31, 45, 0.9)'
   },
+  bubbleActions: DEFAULT_BUBBLE_ACTIONS,
   autoLaunch: true
 };
 
 const state = {
   config: structuredClone(DEFAULT_CONFIG),
-  blacklist: new Set(),
-  delayMap: new Map(),
+  selectionBehavior: null,
   defaultDelay: DEFAULT_CONFIG.delayedCopy.defaultDelayMs,
   animationsEnabled: DEFAULT_CONFIG.animations.enable !== false,
   systemTheme: window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light',
+  bubbleActions: [],
   activeAppCache: {
     timestamp: 0,
     value: null
   },
   lastSelectionText: '',
+  lastSelectionHtml: '',
+  lastSelectionProgram: '',
+  collect: { active: false, count: 0 },
   selectionCheckQueued: false,
   feedbackTimeoutId: null,
+  autoHideTimeoutId: null,
+  autoHiddenText: null,
+  bubbleHovered: false,
   bubbleVisible: false,
   isOverlayMode
 };
@@ -132,6 +162,55 @@ const applyBubbleStyle = (styleConfig = {}) => {
   document.documentElement.style.setProperty('--bubble-bg', backgroundColor);
 };
 
+// Rules can restyle the bubble for specific apps; the override lasts for the current selection.
+const applySelectionStyle = () => {
+  applyBubbleStyle({ ...state.config.bubbleStyle, ...state.selectionBehavior?.style });
+};
+
+// `warn` and `clear` matches keep the bubble but flag it; `hide` never reaches the renderer.
+const applySensitiveBadge = () => {
+  const sensitive = state.selectionBehavior?.sensitive;
+  const flagged = sensitive && (sensitive.action === 'warn' || sensitive.action === 'clear');
+  sensitiveBadge.hidden = !flagged;
+  if (!flagged) {
+    return;
+  }
+  // Custom pattern names have no translation and are shown as written.
+  const categories = sensitive.categories
+    .map((category) => (hasMessage(`sensitive.${category}`) ? t(`sensitive.${category}`) : category))
+    .join(t('bubble.sensitive.separator'));
+  const seconds = Number(state.config.sensitiveContent?.clearAfterSeconds) || 30;
+  const description = t(sensitive.action === 'clear' ? 'bubble.sensitive.clear' : 'bubble.sensitive.warn', {
+    categories,
+    seconds
+  });
+  sensitiveBadge.title = description;
+  sensitiveBadge.setAttribute('aria-label', description);
+};
+
+// In collect mode copies append to a buffer in the main process; the bubble shows how many
+// entries it holds and, once there are any, offers undo and clear.
+const applyCollectState = (collect) => {
+  state.collect = { active: Boolean(collect?.active), count: Number(collect?.count) || 0 };
+  collectControls.hidden = !state.collect.active;
+  collectCount.textContent = t('bubble.collect.count', { count: state.collect.count });
+  collectUndoButton.hidden = state.collect.count === 0;
+  collectClearButton.hidden = state.collect.count === 0;
+  if (state.isOverlayMode) {
+    notifyToolbarSize();
+  }
+};
+
+const runCollectCommand = async (event, command) => {
+  event.preventDefault();
+  event.stopPropagation();
+  try {
+    applyCollectState(await command());
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'renderer#collect', message: error.message });
+  }
+};
+
 const applyAnimationsPreference = (enabled) => {
   state.animationsEnabled = enabled;
   document.documentElement.dataset.animations = enabled ? 'on' : 'off';
@@ -140,21 +219,17 @@ const applyAnimationsPreference = (enabled) => {
 const applyThemePreference = () => {
   const requested = state.config.theme || 'system';
   const resolved = requested === 'system' ? state.systemTheme : requested;
-  document.documentElement.dataset.theme = resolved === 'dark' ? 'dark' : 'light';
+  document.documentElement.dataset.theme = THEMES.includes(resolved) ? resolved : 'light';
 };
 
 const applyConfig = (incoming) => {
   const merged = deepMerge(structuredClone(DEFAULT_CONFIG), incoming || {});
   state.config = merged;
-  state.blacklist = new Set(
-    Array.isArray(merged.blacklist) ? merged.blacklist.map(normalizeProcessName) : []
-  );
-  const delayEntries = merged.delayedCopy?.apps ? Object.entries(merged.delayedCopy.apps) : [];
-  state.delayMap = new Map(delayEntries.map(([key, value]) => [normalizeProcessName(key), Number(value) || 0]));
   state.defaultDelay = Number(merged.delayedCopy?.defaultDelayMs ?? 0);
-  applyBubbleStyle(merged.bubbleStyle);
+  applySelectionStyle();
   applyAnimationsPreference(merged.animations?.enable !== false);
   applyThemePreference();
+  renderBubbleActions(merged.bubbleActions);
   if (state.isOverlayMode) {
     notifyToolbarSize();
   } else {
@@ -162,6 +237,42 @@ const applyConfig = (incoming) => {
   }
 };
 
+const renderBubbleActions = (configured) => {
+  state.bubbleActions = resolveBubbleActions(configured);
+  const buttons = state.bubbleActions.map((action) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bubble-action';
+    button.dataset.action = action.id;
+    button.setAttribute('aria-label', action.label || action.id);
+    if (action.icon) {
+      const icon = document.createElement('span');
+      icon.className = 'bubble-action-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = action.icon;
+      button.appendChild(icon);
+    }
+    if (action.label) {
+      const label = document.createElement('span');
+      label.textContent = action.label;
+      button.appendChild(label);
+    }
+    button.addEventListener('click', (event) => handleAction(event, action));
+    return button;
+  });
+  actionsContainer.replaceChildren(...buttons);
+  updateActionAvailability(state.lastSelectionText);
+};
+
+const updateActionAvailability = (text) => {
+  state.bubbleActions.forEach((action) => {
+    const button = actionsContainer.querySelector(`[data-action="${CSS.escape(action.id)}"]`);
+    if (button) {
+      button.hidden = !text || !action.isAvailable(text, { html: state.lastSelectionHtml });
+    }
+  });
+};
+
 const clearFeedback = () => {
   if (state.feedbackTimeoutId) {
     clearTimeout(state.feedbackTimeoutId);
@@ -172,6 +283,7 @@ const clearFeedback = () => {
 
 const showFeedback = () => {
   clearFeedback();
+  feedback.textContent = t('bubble.copied');
   feedback.classList.add('show');
   state.feedbackTimeoutId = window.setTimeout(() => {
     feedback.classList.remove('show');
@@ -179,7 +291,90 @@ const showFeedback = () => {
   }, FEEDBACK_TIMEOUT);
 };
 
+// The feedback region is also the bubble's live region: text written without `show` stays
+// visually collapsed but is read out. Clearing it first makes a repeated message heard again.
+const announce = (message) => {
+  clearFeedback();
+  feedback.textContent = '';
+  requestAnimationFrame(() => {
+    feedback.textContent = message;
+  });
+};
+
+const getVisibleActionButtons = () =>
+  [...bubble.querySelectorAll('.bubble-action')].filter((button) => !button.closest('[hidden]'));
+
+const handleBubbleKeyDown = (event) => {
+  const buttons = getVisibleActionButtons();
+  if (buttons.length === 0 || event.altKey || event.ctrlKey || event.metaKey) {
+    return;
+  }
+  const current = buttons.indexOf(document.activeElement);
+  let next;
+  if (event.key === 'Home') {
+    next = 0;
+  } else if (event.key === 'End') {
+    next = buttons.length - 1;
+  } else if (event.key === 'Tab' && state.isOverlayMode) {
+    // The overlay has nothing else to tab to; the demo page keeps normal tabbing.
+    next = current + (event.shiftKey ? -1 : 1);
+  } else if (event.key in ACTION_FOCUS_STEPS) {
+    next = current + ACTION_FOCUS_STEPS[event.key];
+  } else {
+    return;
+  }
+  event.preventDefault();
+  buttons[((next % buttons.length) + buttons.length) % buttons.length].focus();
+};
+
+// Sent after the focus hotkey made the overlay focusable. The frame lets drawBubble, queued by
+// the show message before this one, make the buttons visible first.
+const handleFocusRequest = () => {
+  if (!state.isOverlayMode) {
+    return;
+  }
+  requestAnimationFrame(() => {
+    const buttons = getVisibleActionButtons();
+    if (!state.bubbleVisible || buttons.length === 0) {
+      return;
+    }
+    buttons[0].focus();
+    announce(t('bubble.focused', { count: buttons.length }));
+  });
+};
+
+const cancelAutoHide = () => {
+  if (state.autoHideTimeoutId) {
+    clearTimeout(state.autoHideTimeoutId);
+    state.autoHideTimeoutId = null;
+  }
+};
+
+// `autoHideMs` counts from the moment the bubble appears or the pointer leaves it; hovering it or
+// moving keyboard focus into it stops the clock. Sources that cannot see clicks elsewhere send
+// their own default with the selection.
+const scheduleAutoHide = () => {
+  cancelAutoHide();
+  const delay =
+    Number(state.config.selectionAssistant?.autoHideMs) || Number(state.selectionBehavior?.autoHideMs) || 0;
+  if (delay <= 0 || !state.bubbleVisible || state.bubbleHovered || bubble.contains(document.activeElement)) {
+    return;
+  }
+  state.autoHideTimeoutId = window.setTimeout(() => {
+    state.autoHideTimeoutId = null;
+    // The overlay window has to go too. The demo leaves the selection alone and keeps the
+    // bubble away until a different one is made.
+    if (state.isOverlayMode) {
+      dismissBubble();
+    } else {
+      state.autoHiddenText = state.lastSelectionText;
+      hideBubble();
+    }
+  }, delay);
+};
+
 const hideBubble = (immediate = false) => {
+  cancelAutoHide();
   clearFeedback();
   bubble.classList.remove('show');
   state.bubbleVisible = false;
@@ -217,9 +412,11 @@ const notifyToolbarSize = () => {
   if (!state.isOverlayMode || typeof selectionBridge.determineToolbarSize !== 'function') {
     return;
   }
-  const rect = bubble.getBoundingClientRect();
-  if (rect.width && rect.height) {
-    selectionBridge.determineToolbarSize(rect.width, rect.height);
+  // offset* ignores the pop-in scale transform, so the reported size is the settled one.
+  const width = bubble.offsetWidth;
+  const height = bubble.offsetHeight;
+  if (width && height) {
+    selectionBridge.determineToolbarSize(width, height);
   }
 };
 
@@ -235,6 +432,7 @@ const drawBubble = (position) => {
       bubble.classList.add('show');
       state.bubbleVisible = true;
       notifyToolbarSize();
+      scheduleAutoHide();
     });
     return;
   }
@@ -251,6 +449,7 @@ const drawBubble = (position) => {
     bubble.style.visibility = '';
     bubble.classList.add('show');
     state.bubbleVisible = true;
+    scheduleAutoHide();
   });
 };
 
@@ -274,8 +473,13 @@ const getSelectionDetails = () => {
   const left = rect.right + VIEWPORT_PADDING;
   const top = rect.bottom + VIEWPORT_PADDING;
 
+  const container = document.createElement('div');
+  container.appendChild(range.cloneContents());
+  const html = hasRichContent(container.innerHTML) ? container.innerHTML : '';
+
   return {
     text,
+    html,
     position: { left, top }
   };
 };
@@ -306,12 +510,38 @@ const getActiveAppInfo = async (force = false) => {
   }
 };
 
+// Same length and content limits as selections in other programs, evaluated in the main process.
+const isSelectionAccepted = async (text) => {
+  if (typeof selectionBridge.checkSelection !== 'function') {
+    return true;
+  }
+  try {
+    const result = await selectionBridge.checkSelection(text);
+    return result?.accepted !== false;
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'renderer#checkSelection', message: error.message });
+    return true;
+  }
+};
+
+const inspectSelection = async (text) => {
+  if (typeof selectionBridge.inspectSelection !== 'function') {
+    return null;
+  }
+  try {
+    return await selectionBridge.inspectSelection(text);
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'renderer#inspectSelection', message: error.message });
+    return null;
+  }
+};
+
 const shouldSuppressForActiveApp = async () => {
   const info = await getActiveAppInfo();
   if (!info) {
     return false;
   }
-  return state.blacklist.has(info.processName);
+  return info.behavior?.enabled === false;
 };
 
 const queueSelectionEvaluation = () => {
@@ -333,30 +563,68 @@ const evaluateSelection = async () => {
   const details = getSelectionDetails();
   if (!details) {
     state.lastSelectionText = '';
+    state.autoHiddenText = null;
     hideBubble();
     return;
   }
 
+  if (details.text === state.autoHiddenText) {
+    return;
+  }
+  state.autoHiddenText = null;
+
+  if (!(await isSelectionAccepted(details.text))) {
+    state.lastSelectionText = '';
+    hideBubble(true);
+    return;
+  }
+
   if (await shouldSuppressForActiveApp()) {
     state.lastSelectionText = '';
     hideBubble(true);
     return;
   }
 
-  state.lastSelectionText = details.text;
-  drawBubble(details.position);
-};
+  const sensitive = await inspectSelection(details.text);
+  if (sensitive?.action === 'hide') {
+    state.lastSelectionText = '';
+    hideBubble(true);
+    return;
+  }
 
-const getCopyDelay = async () => {
   const info = await getActiveAppInfo();
-  if (!info) {
-    return state.defaultDelay;
+  // Scrolls, resizes and repeated selection events re-evaluate a selection already on show.
+  const isNewBubble = !state.bubbleVisible || details.text !== state.lastSelectionText;
+  state.lastSelectionText = details.text;
+  state.lastSelectionHtml = details.html;
+  state.lastSelectionProgram = info?.processName || '';
+  state.selectionBehavior = { ...info?.behavior, sensitive };
+  applySelectionStyle();
+  applySensitiveBadge();
+  updateActionAvailability(details.text);
+  drawBubble(details.position);
+  if (isNewBubble) {
+    reportUsage('bubble-shown');
   }
+};
 
-  return state.delayMap.get(info.processName) ?? state.defaultDelay;
+const reportUsage = (type, data = {}) => {
+  selectionBridge.recordUsage?.(type, { program: state.lastSelectionProgram, ...data });
 };
 
-const copyWithFallback = async (text) => {
+const getCopyDelay = () => Number(state.selectionBehavior?.copyDelayMs ?? state.defaultDelay) || 0;
+
+const copyWithFallback = async (text, html) => {
+  if (html && navigator.clipboard && typeof ClipboardItem === 'function') {
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' })
+      })
+    ]);
+    return;
+  }
+
   if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
     await navigator.clipboard.writeText(text);
     return;
@@ -377,12 +645,12 @@ const copyWithFallback = async (text) => {
   }
 };
 
-const tryNativeClipboard = async (text) => {
+const tryNativeClipboard = async (text, meta) => {
   if (typeof selectionBridge.writeToClipboard !== 'function') {
     return false;
   }
   try {
-    const result = await selectionBridge.writeToClipboard(text);
+    const result = await selectionBridge.writeToClipboard(text, meta);
     return Boolean(result);
   } catch (error) {
     selectionBridge.logError?.({ scope: 'renderer#nativeCopy', message: error.message });
@@ -390,27 +658,47 @@ const tryNativeClipboard = async (text) => {
   }
 };
 
-const handleCopy = async (event) => {
-  event.preventDefault();
-  event.stopPropagation();
-
-  if (!state.lastSelectionText) {
-    hideBubble(true);
-    return;
+// `rich` adds the selected HTML (and an RTF rendering of it) next to the plain text when the
+// selection has markup; `markdown` writes the HTML converted to Markdown as plain text and
+// `citation` asks the main process to wrap the text in `options.template`.
+const buildClipboardPayload = (format, options = {}) => {
+  const text = state.lastSelectionText;
+  const html = state.lastSelectionHtml;
+  const meta = { program: state.lastSelectionProgram };
+  if (format === 'citation') {
+    return { text, meta: { ...meta, citation: options.template } };
+  }
+  if (!html || format === 'plain') {
+    return { text, meta };
+  }
+  if (format === 'markdown') {
+    return { text: htmlToMarkdown(html) || text, meta: { ...meta, format: 'markdown' } };
   }
+  return { text, html, meta: { ...meta, html, rtf: htmlToRtf(html) } };
+};
 
-  const delay = await getCopyDelay();
+// Latency is measured from the click, so it includes the per-app copy delay.
+const copySelection = async (format = 'rich', options = {}) => {
+  const startedAt = performance.now();
+  const delay = getCopyDelay();
   if (delay > 0) {
     await wait(delay);
   }
 
   try {
-    const nativeCopied = await tryNativeClipboard(state.lastSelectionText);
+    const { text, html, meta } = buildClipboardPayload(format, options);
+    const nativeCopied = await tryNativeClipboard(text, meta);
     if (!nativeCopied) {
-      await copyWithFallback(state.lastSelectionText);
+      // Without the template the fallback would copy the bare quote, so it is not used.
+      if (meta.citation) {
+        throw new Error('Citation copy is unavailable');
+      }
+      await copyWithFallback(text, html);
     }
+    reportUsage('copy', { latencyMs: performance.now() - startedAt, fallback: !nativeCopied });
     showFeedback();
   } catch (error) {
+    reportUsage('copy-failed');
     selectionBridge.logError?.({
       scope: 'renderer#copy',
       message: error.message,
@@ -419,20 +707,79 @@ const handleCopy = async (event) => {
   }
 };
 
+const openExternal = async (url) => {
+  if (!url || typeof selectionBridge.openExternal !== 'function') {
+    return;
+  }
+  const opened = await selectionBridge.openExternal(url);
+  if (!opened) {
+    throw new Error('Refused to open external URL');
+  }
+};
+
+const dismissBubble = () => {
+  hideBubble(true);
+  if (state.isOverlayMode) {
+    selectionBridge.hideToolbar?.();
+  } else {
+    window.getSelection()?.removeAllRanges();
+  }
+  state.lastSelectionText = '';
+};
+
+const handleAction = async (event, action) => {
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (!state.lastSelectionText) {
+    hideBubble(true);
+    return;
+  }
+
+  reportUsage('action');
+  try {
+    await action.run({
+      action,
+      text: state.lastSelectionText,
+      program: state.lastSelectionProgram,
+      copy: copySelection,
+      openExternal
+    });
+    if (!action.keepOpen) {
+      dismissBubble();
+    }
+  } catch (error) {
+    selectionBridge.logError?.({
+      scope: `renderer#action:${action.id}`,
+      message: error.message
+    });
+  }
+};
+
 const handleExternalSelection = (payload) => {
   if (!state.isOverlayMode) {
     return;
   }
 
   const incomingText = typeof payload?.text === 'string' ? payload.text.trim() : '';
+  const isNewBubble = !state.bubbleVisible || incomingText !== state.lastSelectionText;
   state.lastSelectionText = incomingText;
+  state.lastSelectionHtml = hasRichContent(payload?.html) ? payload.html : '';
+  state.lastSelectionProgram = typeof payload?.program === 'string' ? payload.program : '';
+  state.selectionBehavior = payload?.behavior || null;
+  applySelectionStyle();
+  applySensitiveBadge();
   if (!incomingText) {
     hideBubble(true);
     return;
   }
 
+  updateActionAvailability(incomingText);
   drawBubble({ left: 0, top: 0 });
   notifyToolbarSize();
+  if (isNewBubble) {
+    reportUsage('bubble-shown');
+  }
 };
 
 const handleExternalHide = () => {
@@ -458,9 +805,17 @@ const setupBridgeListeners = () => {
     selectionBridge.onHideBubble(handleExternalHide);
   }
 
+  if (state.isOverlayMode && typeof selectionBridge.onFocusBubble === 'function') {
+    selectionBridge.onFocusBubble(handleFocusRequest);
+  }
+
+  if (typeof selectionBridge.onCollectUpdated === 'function') {
+    selectionBridge.onCollectUpdated(applyCollectState);
+  }
+
   if (typeof selectionBridge.onNativeTheme === 'function') {
     selectionBridge.onNativeTheme((mode) => {
-      state.systemTheme = mode === 'dark' ? 'dark' : 'light';
+      state.systemTheme = THEMES.includes(mode) ? mode : 'light';
       applyThemePreference();
     });
   } else if (window.matchMedia) {
@@ -477,7 +832,18 @@ const setupBridgeListeners = () => {
   }
 };
 
+// Labels built in code are redrawn; the overlay also reports its new size since they change width.
+const handleLocaleChange = () => {
+  renderBubbleActions(state.config.bubbleActions);
+  applySensitiveBadge();
+  applyCollectState(state.collect);
+  if (state.isOverlayMode) {
+    notifyToolbarSize();
+  }
+};
+
 const init = async () => {
+  await setupPageLocale(selectionBridge, handleLocaleChange);
   applyConfig(DEFAULT_CONFIG);
   setupBridgeListeners();
 
@@ -492,16 +858,39 @@ const init = async () => {
     }
   }
 
+  if (typeof selectionBridge.readCollectState === 'function') {
+    try {
+      applyCollectState(await selectionBridge.readCollectState());
+    } catch (error) {
+      selectionBridge.logError?.({ scope: 'renderer#init', message: error.message });
+    }
+  }
+  collectUndoButton.addEventListener('click', (event) => runCollectCommand(event, selectionBridge.undoCollect));
+  collectClearButton.addEventListener('click', (event) => runCollectCommand(event, selectionBridge.clearCollect));
+
   if (!state.isOverlayMode) {
     document.addEventListener('selectionchange', queueSelectionEvaluation);
     document.addEventListener('mouseup', queueSelectionEvaluation);
     document.addEventListener('keyup', queueSelectionEvaluation);
   }
+  bubble.addEventListener('keydown', handleBubbleKeyDown);
+  bubble.addEventListener('mouseenter', () => {
+    state.bubbleHovered = true;
+    cancelAutoHide();
+  });
+  bubble.addEventListener('mouseleave', () => {
+    state.bubbleHovered = false;
+    scheduleAutoHide();
+  });
+  bubble.addEventListener('focusin', cancelAutoHide);
+  bubble.addEventListener('focusout', (event) => {
+    if (!bubble.contains(event.relatedTarget)) {
+      scheduleAutoHide();
+    }
+  });
   document.addEventListener('keydown', (event) => {
     if (event.key === 'Escape') {
-      window.getSelection()?.removeAllRanges();
-      hideBubble(true);
-      state.lastSelectionText = '';
+      dismissBubble();
     }
   });
 
@@ -519,7 +908,6 @@ const init = async () => {
   }
   window.addEventListener('blur', () => hideBubble(true));
 
-  copyButton.addEventListener('click', handleCopy);
   hideBubble(true);
 };
 
@@ -0,0 +1,341 @@
+// Converts selected HTML into the extra clipboard formats offered by the bubble. Both
+// converters walk a DOM parsed from the fragment, so they only run in renderer pages.
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TEMPLATE', 'NOSCRIPT', 'META', 'LINK']);
+const BLOCK_TAGS = new Set([
+  'P',
+  'DIV',
+  'SECTION',
+  'ARTICLE',
+  'HEADER',
+  'FOOTER',
+  'MAIN',
+  'ASIDE',
+  'NAV',
+  'FIGURE',
+  'FIGCAPTION',
+  'DL',
+  'DT',
+  'DD',
+  'ADDRESS'
+]);
+const STRUCTURE_TAGS = new Set([
+  'UL',
+  'OL',
+  'LI',
+  'PRE',
+  'TABLE',
+  'THEAD',
+  'TBODY',
+  'TFOOT',
+  'TR',
+  'BLOCKQUOTE',
+  'HR',
+  'H1',
+  'H2',
+  'H3',
+  'H4',
+  'H5',
+  'H6'
+]);
+const SAFE_LINK_PATTERN = /^(https?:|mailto:|ftp:|#|\/|\.)/i;
+
+const parseFragment = (html) => new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html').body;
+
+/** True when the fragment carries markup worth keeping, rather than bare text. */
+export const hasRichContent = (html) => typeof html === 'string' && /<[a-z][^>]*>/i.test(html);
+
+const collapseWhitespace = (text) => text.replace(/[\t\n\r\f ]+/g, ' ');
+
+const isBlockElement = (node) =>
+  node?.nodeType === Node.ELEMENT_NODE && (BLOCK_TAGS.has(node.tagName) || STRUCTURE_TAGS.has(node.tagName));
+
+// Whitespace next to a block element is source formatting, not content.
+const isFormattingWhitespace = (node) =>
+  !/\S/.test(node.textContent) &&
+  (!node.previousSibling ||
+    !node.nextSibling ||
+    isBlockElement(node.previousSibling) ||
+    isBlockElement(node.nextSibling));
+
+const longestRun = (text, character) =>
+  (text.match(new RegExp(`\\${character}+`, 'g')) || []).reduce((max, run) => Math.max(max, run.length), 0);
+
+const languageOf = (element) => {
+  const source = [element, element.querySelector?.('code')]
+    .filter(Boolean)
+    .map((node) => node.className || '')
+    .join(' ');
+  const match = source.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+};
+
+// --- Markdown -------------------------------------------------------------------------------
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+const wrapInline = (marker, content) => {
+  const trimmed = content.trim();
+  if (!trimmed) {
+    return content;
+  }
+  // Keep surrounding spaces outside the markers, where Markdown expects them.
+  const leading = content.match(/^\s*/)[0];
+  const trailing = content.match(/\s*$/)[0];
+  return `${leading}${marker}${trimmed}${marker}${trailing}`;
+};
+
+const inlineCode = (text) => {
+  const fence = '`'.repeat(longestRun(text, '`') + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+};
+
+const indentContinuation = (text, width) => text.split('\n').join(`\n${' '.repeat(width)}`);
+
+const markdownList = (list, context) => {
+  const ordered = list.tagName === 'OL';
+  const start = Number.parseInt(list.getAttribute('start'), 10) || 1;
+  const items = [...list.children].filter((child) => child.tagName === 'LI');
+  const lines = items.map((item, index) => {
+    const marker = ordered ? `${start + index}. ` : '- ';
+    const content = markdownChildren(item, context)
+      .trim()
+      .replace(/\n(?:[ \t]*\n)+/g, '\n');
+    return `${marker}${indentContinuation(content, marker.length)}`;
+  });
+  return `\n\n${lines.join('\n')}\n\n`;
+};
+
+const tableCell = (cell, context) =>
+  markdownChildren(cell, context).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+
+const cellAlignment = (cell) => {
+  const align = (cell?.getAttribute('align') || cell?.style?.textAlign || '').toLowerCase();
+  if (align === 'center') return ':---:';
+  if (align === 'right') return '---:';
+  return '---';
+};
+
+const markdownTable = (table, context) => {
+  const rows = [...table.querySelectorAll('tr')].filter((row) => row.closest('table') === table);
+  if (rows.length === 0) {
+    return '';
+  }
+  const cells = rows.map((row) => [...row.children].filter((cell) => /^T[HD]$/.test(cell.tagName)));
+  const columns = Math.max(...cells.map((row) => row.length), 1);
+  const toLine = (values) =>
+    `| ${Array.from({ length: columns }, (_unused, index) => values[index] ?? '').join(' | ')} |`;
+
+  const [header, ...body] = cells;
+  const lines = [
+    toLine(header.map((cell) => tableCell(cell, context))),
+    toLine(Array.from({ length: columns }, (_unused, index) => cellAlignment(header[index]))),
+    ...body.map((row) => toLine(row.map((cell) => tableCell(cell, context))))
+  ];
+  return `\n\n${lines.join('\n')}\n\n`;
+};
+
+const markdownNode = (node, context) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return isFormattingWhitespace(node) ? '' : escapeMarkdown(collapseWhitespace(node.textContent));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) {
+    return '';
+  }
+
+  const tag = node.tagName;
+  const children = () => markdownChildren(node, context);
+
+  if (/^H[1-6]$/.test(tag)) {
+    return `\n\n${'#'.repeat(Number(tag[1]))} ${children().replace(/\s+/g, ' ').trim()}\n\n`;
+  }
+  if (BLOCK_TAGS.has(tag)) {
+    return `\n\n${children().trim()}\n\n`;
+  }
+
+  switch (tag) {
+    case 'BR':
+      return '  \n';
+    case 'HR':
+      return '\n\n---\n\n';
+    case 'STRONG':
+    case 'B':
+      return wrapInline('**', children());
+    case 'EM':
+    case 'I':
+      return wrapInline('*', children());
+    case 'DEL':
+    case 'S':
+    case 'STRIKE':
+      return wrapInline('~~', children());
+    case 'CODE':
+      return inlineCode(node.textContent);
+    case 'PRE': {
+      const code = node.textContent.replace(/\n$/, '');
+      const fence = '`'.repeat(Math.max(3, longestRun(code, '`') + 1));
+      // Code blocks are swapped in after whitespace normalisation so they stay verbatim.
+      context.codeBlocks.push(`${fence}${languageOf(node)}\n${code}\n${fence}`);
+      return `\n\n\u0000${context.codeBlocks.length - 1}\u0000\n\n`;
+    }
+    case 'A': {
+      const href = node.getAttribute('href') || '';
+      const text = children().trim();
+      if (!href || !SAFE_LINK_PATTERN.test(href)) {
+        return children();
+      }
+      if (!text || text === href) {
+        return `<${href}>`;
+      }
+      const title = node.getAttribute('title');
+      return `[${text}](${href.replace(/\)/g, '%29')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+    case 'IMG': {
+      // Images with a `javascript:` or `data:` source are reduced to their alt text, like links.
+      const src = node.getAttribute('src') || '';
+      const alt = escapeMarkdown(node.getAttribute('alt') || '');
+      return src && SAFE_LINK_PATTERN.test(src) ? `![${alt}](${src.replace(/\)/g, '%29')})` : alt;
+    }
+    case 'UL':
+    case 'OL':
+      return markdownList(node, context);
+    case 'BLOCKQUOTE': {
+      const content = children().trim().replace(/\n{3,}/g, '\n\n');
+      return `\n\n${content
+        .split('\n')
+        .map((line) => (line ? `> ${line}` : '>'))
+        .join('\n')}\n\n`;
+    }
+    case 'TABLE':
+      return markdownTable(node, context);
+    default:
+      return children();
+  }
+};
+
+function markdownChildren(node, context) {
+  return [...node.childNodes].map((child) => markdownNode(child, context)).join('');
+}
+
+/** Converts an HTML fragment to Markdown: headings, emphasis, links, lists, tables and code. */
+export const htmlToMarkdown = (html) => {
+  const context = { codeBlocks: [] };
+  const markdown = markdownChildren(parseFragment(html), context)
+    .replace(/[ \t]+\n(?!\n)/g, (match) => (match.startsWith('  ') ? '  \n' : '\n'))
+    .replace(/\n[ \t]+\n/g, '\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\s+$/g, '')
+    .replace(/\n\n +/g, '\n\n');
+  return markdown.replace(/\u0000(\d+)\u0000/g, (_match, index) => context.codeBlocks[Number(index)]);
+};
+
+// --- RTF ------------------------------------------------------------------------------------
+
+const RTF_HEADER = '{\\rtf1\\ansi\\deff0{\\fonttbl{\\f0\\fswiss Calibri;}{\\f1\\fmodern Consolas;}}';
+
+const escapeRtf = (text) => {
+  let result = '';
+  for (let index = 0; index < text.length; index += 1) {
+    const code = text.charCodeAt(index);
+    const character = text[index];
+    if (character === '\\' || character === '{' || character === '}') {
+      result += `\\${character}`;
+    } else if (code > 127) {
+      // RTF \u takes a signed 16-bit value, followed by a fallback character.
+      result += `\\u${code > 32767 ? code - 65536 : code}?`;
+    } else {
+      result += character;
+    }
+  }
+  return result;
+};
+
+const rtfGroup = (control, content) => (content.trim() ? `{${control} ${content}}` : content);
+
+const rtfNode = (node, context) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    if (context.preformatted) {
+      return escapeRtf(node.textContent).replace(/\r?\n/g, '\\line ');
+    }
+    return isFormattingWhitespace(node) ? '' : escapeRtf(collapseWhitespace(node.textContent));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) {
+    return '';
+  }
+
+  const tag = node.tagName;
+  const children = (overrides = {}) => rtfChildren(node, { ...context, ...overrides });
+
+  if (/^H[1-6]$/.test(tag)) {
+    const size = [36, 32, 28, 26, 24, 22][Number(tag[1]) - 1];
+    return `{\\b\\fs${size} ${children().trim()}}\\par\n`;
+  }
+  if (BLOCK_TAGS.has(tag)) {
+    return `${children().trim()}\\par\n`;
+  }
+
+  switch (tag) {
+    case 'BR':
+      return '\\line ';
+    case 'HR':
+      return '\\par\n';
+    case 'STRONG':
+    case 'B':
+      return rtfGroup('\\b', children());
+    case 'EM':
+    case 'I':
+      return rtfGroup('\\i', children());
+    case 'U':
+      return rtfGroup('\\ul', children());
+    case 'DEL':
+    case 'S':
+    case 'STRIKE':
+      return rtfGroup('\\strike', children());
+    case 'CODE':
+      return context.preformatted ? children() : rtfGroup('\\f1', children());
+    case 'PRE':
+      return `{\\f1 ${children({ preformatted: true }).replace(/(\\line )+$/, '')}}\\par\n`;
+    case 'A': {
+      const href = node.getAttribute('href') || '';
+      if (!href || !SAFE_LINK_PATTERN.test(href)) {
+        return children();
+      }
+      return `{\\field{\\*\\fldinst{HYPERLINK "${escapeRtf(href).replace(/"/g, '%22')}"}}{\\fldrslt{\\ul ${children()}}}}`;
+    }
+    case 'UL':
+    case 'OL': {
+      const ordered = tag === 'OL';
+      const start = Number.parseInt(node.getAttribute('start'), 10) || 1;
+      const depth = (context.listDepth || 0) + 1;
+      return [...node.children]
+        .filter((child) => child.tagName === 'LI')
+        .map((item, index) => {
+          const marker = ordered ? `${start + index}.` : '\\bullet';
+          const content = rtfChildren(item, { ...context, listDepth: depth })
+            .trim()
+            .replace(/(\\par\n?)+$/, '');
+          return `{\\li${depth * 360}\\fi-360 ${marker}\\tab ${content}\\par}\n`;
+        })
+        .join('');
+    }
+    case 'BLOCKQUOTE':
+      return `{\\li720 ${children().trim()}}\\par\n`;
+    case 'TR':
+      return `${[...node.children]
+        .filter((cell) => /^T[HD]$/.test(cell.tagName))
+        .map((cell) => rtfChildren(cell, context).replace(/\\par\n?/g, ' ').trim())
+        .join('\\tab ')}\\par\n`;
+    default:
+      return children();
+  }
+};
+
+function rtfChildren(node, context) {
+  return [...node.childNodes].map((child) => rtfNode(child, context)).join('');
+}
+
+/** Converts an HTML fragment to a minimal RTF document keeping emphasis, links and lists. */
+export const htmlToRtf = (html) => {
+  const body = rtfChildren(parseFragment(html), {}).trim();
+  return `${RTF_HEADER}\n${body}\n}`;
+};
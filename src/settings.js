@@ -0,0 +1,280 @@
+import { setupPageTheme } from './pageTheme.js';
+import { setupPageLocale, t } from './i18n.js';
+
+const selectionBridge = window.selectionCopy ?? {};
+const form = document.getElementById('settings-form');
+const delayRows = document.getElementById('delay-rows');
+const addDelayRowButton = document.getElementById('add-delay-row');
+const revertButton = document.getElementById('settings-revert');
+const openFolderButton = document.getElementById('open-config-folder');
+const externalChangeBanner = document.getElementById('settings-external-change');
+const reloadButton = document.getElementById('settings-reload');
+const errorList = document.getElementById('settings-errors');
+const status = document.getElementById('settings-status');
+
+const DELAY_APPS_PATH = ['delayedCopy', 'apps'];
+const STATUS_TIMEOUT = 2000;
+
+const state = {
+  config: {},
+  pendingConfig: null,
+  dirty: false,
+  saving: false,
+  delaysTouched: false,
+  statusTimeoutId: null
+};
+
+const getAtPath = (source, path) =>
+  path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), source);
+
+const toPath = (name) => name.split('.');
+
+const toHexColor = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i) : null;
+  if (!match) {
+    return '#000000';
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, (char) => char + char) : match[1];
+  return `#${hex.toLowerCase()}`;
+};
+
+const readField = (element) => {
+  if (element.type === 'checkbox') {
+    return element.checked;
+  }
+  if (element.type === 'number') {
+    return element.value === '' ? null : Number(element.value);
+  }
+  if (element.tagName === 'TEXTAREA') {
+    return element.value
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+  return element.value;
+};
+
+const writeField = (element, value) => {
+  if (element.type === 'checkbox') {
+    element.checked = Boolean(value);
+  } else if (element.type === 'color') {
+    element.value = toHexColor(value);
+  } else if (element.tagName === 'TEXTAREA') {
+    element.value = Array.isArray(value) ? value.join('\n') : '';
+  } else {
+    element.value = value ?? '';
+  }
+};
+
+const createDelayRow = (processName = '', delay = '') => {
+  const row = document.createElement('tr');
+
+  const nameCell = document.createElement('td');
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = processName;
+  nameInput.placeholder = 'example.exe';
+  nameInput.spellcheck = false;
+  nameInput.setAttribute('data-i18n-aria-label', 'settings.delays.process');
+  nameInput.setAttribute('aria-label', t('settings.delays.process'));
+  nameInput.dataset.role = 'delay-name';
+  nameCell.appendChild(nameInput);
+
+  const delayCell = document.createElement('td');
+  const delayInput = document.createElement('input');
+  delayInput.type = 'number';
+  delayInput.min = '0';
+  delayInput.max = '10000';
+  delayInput.step = '10';
+  delayInput.value = delay;
+  delayInput.setAttribute('data-i18n-aria-label', 'settings.delays.delayLabel');
+  delayInput.setAttribute('aria-label', t('settings.delays.delayLabel'));
+  delayInput.dataset.role = 'delay-value';
+  delayCell.appendChild(delayInput);
+
+  row.appendChild(nameCell);
+  row.appendChild(delayCell);
+  return row;
+};
+
+const readDelayRows = () => {
+  const apps = {};
+  delayRows.querySelectorAll('tr').forEach((row) => {
+    const name = row.querySelector('[data-role="delay-name"]').value.trim().toLowerCase();
+    const value = row.querySelector('[data-role="delay-value"]').value;
+    if (name) {
+      apps[name] = value === '' ? 0 : Number(value);
+    }
+  });
+  return apps;
+};
+
+const populateForm = (config) => {
+  state.config = config || {};
+  state.pendingConfig = null;
+  Array.from(form.elements).forEach((element) => {
+    if (element.name) {
+      writeField(element, getAtPath(state.config, toPath(element.name)));
+      delete element.dataset.touched;
+      element.removeAttribute('aria-invalid');
+    }
+  });
+
+  const apps = getAtPath(state.config, DELAY_APPS_PATH) || {};
+  delayRows.replaceChildren(...Object.entries(apps).map(([name, delay]) => createDelayRow(name, delay)));
+
+  state.dirty = false;
+  state.delaysTouched = false;
+  externalChangeBanner.classList.add('hidden');
+  errorList.replaceChildren();
+};
+
+// Only fields the user actually edited are sent, so untouched defaults never end up in config.json.
+const collectChanges = () => {
+  const changes = [];
+  Array.from(form.elements).forEach((element) => {
+    if (!element.name || !element.dataset.touched) {
+      return;
+    }
+    const path = toPath(element.name);
+    const value = readField(element);
+    if (JSON.stringify(value) !== JSON.stringify(getAtPath(state.config, path))) {
+      changes.push({ path, value });
+    }
+  });
+
+  if (state.delaysTouched) {
+    const apps = readDelayRows();
+    if (JSON.stringify(apps) !== JSON.stringify(getAtPath(state.config, DELAY_APPS_PATH) || {})) {
+      changes.push({ path: DELAY_APPS_PATH, value: apps });
+    }
+  }
+
+  return changes;
+};
+
+const showStatus = (message) => {
+  if (state.statusTimeoutId) {
+    clearTimeout(state.statusTimeoutId);
+  }
+  status.textContent = message;
+  state.statusTimeoutId = window.setTimeout(() => {
+    status.textContent = '';
+    state.statusTimeoutId = null;
+  }, STATUS_TIMEOUT);
+};
+
+const showErrors = (errors) => {
+  errorList.replaceChildren(
+    ...errors.map((error) => {
+      const item = document.createElement('li');
+      item.textContent = error.path ? `${error.path}: ${error.message}` : error.message;
+      return item;
+    })
+  );
+
+  errors.forEach((error) => {
+    const name = (error.path || '').split('[')[0];
+    const element = name ? form.elements.namedItem(name) : null;
+    if (element && typeof element.setAttribute === 'function') {
+      element.setAttribute('aria-invalid', 'true');
+    }
+  });
+};
+
+const handleSubmit = async (event) => {
+  event.preventDefault();
+  if (typeof selectionBridge.saveSettings !== 'function') {
+    return;
+  }
+
+  const changes = collectChanges();
+  if (changes.length === 0) {
+    showStatus(t('settings.status.noChanges'));
+    return;
+  }
+
+  state.saving = true;
+  try {
+    const result = await selectionBridge.saveSettings(changes);
+    if (!result?.ok) {
+      showErrors(result?.errors || [{ path: '', message: t('settings.error.saveFailed') }]);
+      return;
+    }
+    populateForm(state.pendingConfig || (await selectionBridge.readConfig?.()) || state.config);
+    showStatus(t('settings.status.saved'));
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'settings#save', message: error.message });
+    showErrors([{ path: '', message: error.message }]);
+  } finally {
+    state.saving = false;
+    state.pendingConfig = null;
+  }
+};
+
+const handleConfigUpdated = (config) => {
+  if (state.saving) {
+    state.pendingConfig = config;
+    return;
+  }
+  if (state.dirty) {
+    state.pendingConfig = config;
+    externalChangeBanner.classList.remove('hidden');
+    return;
+  }
+  populateForm(config);
+};
+
+const markDirty = (event) => {
+  const target = event.target;
+  if (target.name) {
+    target.dataset.touched = 'true';
+    target.removeAttribute('aria-invalid');
+  } else if (target.dataset.role) {
+    state.delaysTouched = true;
+  }
+  state.dirty = true;
+};
+
+const init = async () => {
+  const pageTheme = setupPageTheme(selectionBridge);
+  await setupPageLocale(selectionBridge);
+
+  if (typeof selectionBridge.onConfigUpdated === 'function') {
+    selectionBridge.onConfigUpdated(handleConfigUpdated);
+  }
+
+  if (typeof selectionBridge.readConfig === 'function') {
+    try {
+      const config = await selectionBridge.readConfig();
+      pageTheme.setTheme(config?.theme);
+      populateForm(config);
+    } catch (error) {
+      selectionBridge.logError?.({ scope: 'settings#init', message: error.message });
+    }
+  }
+
+  form.addEventListener('input', markDirty);
+  form.addEventListener('change', markDirty);
+  form.addEventListener('submit', handleSubmit);
+
+  addDelayRowButton.addEventListener('click', () => {
+    const row = createDelayRow();
+    delayRows.appendChild(row);
+    row.querySelector('input').focus();
+  });
+
+  revertButton.addEventListener('click', () => populateForm(state.pendingConfig || state.config));
+
+  reloadButton.addEventListener('click', () => {
+    populateForm(state.pendingConfig || state.config);
+  });
+
+  openFolderButton.addEventListener('click', () => {
+    selectionBridge.openConfigFolder?.();
+  });
+};
+
+init().catch((error) => {
+  selectionBridge.logError?.({ scope: 'settings#init', message: error.message });
+});
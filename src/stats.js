@@ -0,0 +1,296 @@
+import { setupPageTheme } from './pageTheme.js';
+
+const selectionBridge = window.selectionCopy ?? {};
+const toolbar = document.getElementById('stats-toolbar');
+const exportButton = document.getElementById('stats-export');
+const resetButton = document.getElementById('stats-reset');
+const disabledNote = document.getElementById('stats-disabled');
+const tiles = document.getElementById('stats-tiles');
+const usageChart = document.getElementById('chart-usage');
+const appsChart = document.getElementById('chart-apps');
+const latencyChart = document.getElementById('chart-latency');
+const programRows = document.getElementById('stats-programs');
+const status = document.getElementById('stats-status');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 150;
+const CHART_PADDING = { top: 8, right: 8, bottom: 18, left: 40 };
+const MAX_AXIS_LABELS = 8;
+const TOP_PROGRAMS = 5;
+const PROGRAM_COLORS = ['#4c82ff', '#2bb673', '#f0ad4e', '#d9534f', '#9b59b6'];
+const OTHER_COLOR = 'rgba(128, 128, 140, 0.6)';
+const SHOWN_COLOR = '#4c82ff';
+const USED_COLOR = '#2bb673';
+const LATENCY_COLOR = '#f0ad4e';
+const REFRESH_DEBOUNCE_MS = 500;
+
+const state = {
+  refreshTimeoutId: null
+};
+
+const numberFormatter = new Intl.NumberFormat();
+
+const programLabel = (program) => program || 'Unknown';
+const formatLatency = (value) => (value === null || value === undefined ? '–' : `${numberFormatter.format(value)} ms`);
+
+const readRange = () => ({ days: Number(new FormData(toolbar).get('days')) || 30 });
+
+const svgElement = (name, attributes = {}) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+  return element;
+};
+
+const renderLegend = (series) => {
+  const legend = document.createElement('div');
+  legend.className = 'stats-legend';
+  series.forEach(({ name, color }) => {
+    const item = document.createElement('span');
+    item.style.setProperty('--swatch', color);
+    item.textContent = name;
+    legend.appendChild(item);
+  });
+  return legend;
+};
+
+// One group per label; `stacked` piles the series up, otherwise they stand side by side.
+const renderBarChart = (container, { labels, series, stacked = false, formatValue = numberFormatter.format }) => {
+  const groupTotals = labels.map((_, index) => {
+    const values = series.map((entry) => entry.values[index] || 0);
+    return stacked ? values.reduce((sum, value) => sum + value, 0) : Math.max(0, ...values);
+  });
+  const maxValue = Math.max(0, ...groupTotals);
+  if (maxValue === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'stats-empty';
+    empty.textContent = 'No data for this range.';
+    container.replaceChildren(empty);
+    return;
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const baseline = CHART_PADDING.top + plotHeight;
+  const groupWidth = plotWidth / labels.length;
+  const barGap = Math.min(4, groupWidth * 0.2);
+  const barWidth = stacked ? groupWidth - barGap : (groupWidth - barGap) / series.length;
+  const scale = (value) => (value / maxValue) * plotHeight;
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+    role: 'img',
+    'aria-label': series.map((entry) => entry.name).join(', ')
+  });
+  svg.appendChild(svgElement('line', { class: 'axis', x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right, y1: baseline, y2: baseline }));
+  svg.appendChild(svgElement('line', { class: 'axis', x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right, y1: CHART_PADDING.top, y2: CHART_PADDING.top, 'stroke-dasharray': '2 3' }));
+
+  const maxLabel = svgElement('text', { x: CHART_PADDING.left - 4, y: CHART_PADDING.top + 4, 'text-anchor': 'end' });
+  maxLabel.textContent = formatValue(maxValue);
+  const zeroLabel = svgElement('text', { x: CHART_PADDING.left - 4, y: baseline, 'text-anchor': 'end' });
+  zeroLabel.textContent = '0';
+  svg.append(maxLabel, zeroLabel);
+
+  const labelStep = Math.ceil(labels.length / MAX_AXIS_LABELS);
+  labels.forEach((label, index) => {
+    const groupX = CHART_PADDING.left + index * groupWidth + barGap / 2;
+    let stackTop = baseline;
+
+    series.forEach((entry, seriesIndex) => {
+      const value = entry.values[index] || 0;
+      if (value <= 0) {
+        return;
+      }
+      const height = Math.max(1, scale(value));
+      const x = stacked ? groupX : groupX + seriesIndex * barWidth;
+      const y = stacked ? stackTop - height : baseline - height;
+      stackTop = y;
+      const bar = svgElement('rect', { x, y, width: Math.max(1, barWidth), height, fill: entry.color });
+      const title = svgElement('title');
+      title.textContent = `${label} – ${entry.name}: ${formatValue(value)}`;
+      bar.appendChild(title);
+      svg.appendChild(bar);
+    });
+
+    if (index % labelStep === 0 || index === labels.length - 1) {
+      const text = svgElement('text', {
+        x: groupX + (groupWidth - barGap) / 2,
+        y: CHART_HEIGHT - 4,
+        'text-anchor': 'middle'
+      });
+      text.textContent = label.slice(5);
+      svg.appendChild(text);
+    }
+  });
+
+  container.replaceChildren(svg, renderLegend(series));
+};
+
+const renderTiles = ({ totals }) => {
+  const usedRate = totals.shown > 0 ? ` (${Math.round((totals.used / totals.shown) * 100)}%)` : '';
+  const entries = [
+    ['Bubble shown', numberFormatter.format(totals.shown)],
+    ['Bubble used', `${numberFormatter.format(totals.used)}${usedRate}`],
+    ['Copies', numberFormatter.format(totals.copies)],
+    ['Avg latency', formatLatency(totals.avgLatencyMs)],
+    ['Fallback copies', numberFormatter.format(totals.fallbacks)],
+    ['Failed copies', numberFormatter.format(totals.failures)]
+  ];
+  tiles.replaceChildren(
+    ...entries.map(([label, value]) => {
+      const tile = document.createElement('div');
+      tile.className = 'stats-tile';
+      const valueElement = document.createElement('span');
+      valueElement.className = 'stats-tile-value';
+      valueElement.textContent = value;
+      const labelElement = document.createElement('span');
+      labelElement.className = 'stats-tile-label';
+      labelElement.textContent = label;
+      tile.append(valueElement, labelElement);
+      return tile;
+    })
+  );
+};
+
+const renderPrograms = ({ programs }) => {
+  programRows.replaceChildren(
+    ...programs.map((entry) => {
+      const row = document.createElement('tr');
+      [
+        programLabel(entry.program),
+        numberFormatter.format(entry.shown),
+        numberFormatter.format(entry.used),
+        numberFormatter.format(entry.copies),
+        formatLatency(entry.avgLatencyMs),
+        numberFormatter.format(entry.fallbacks),
+        numberFormatter.format(entry.failures)
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    })
+  );
+};
+
+// The busiest programs get their own colour; everything else is stacked as "Other".
+const programSeries = ({ days, programs }) => {
+  const top = programs.filter((entry) => entry.copies > 0).slice(0, TOP_PROGRAMS);
+  const topNames = new Set(top.map((entry) => entry.program));
+  const series = top.map((entry, index) => ({
+    name: programLabel(entry.program),
+    color: PROGRAM_COLORS[index % PROGRAM_COLORS.length],
+    values: days.map((day) => day.copiesByProgram[entry.program] || 0)
+  }));
+  const otherValues = days.map((day) =>
+    Object.entries(day.copiesByProgram)
+      .filter(([program]) => !topNames.has(program))
+      .reduce((sum, [, copies]) => sum + copies, 0)
+  );
+  if (otherValues.some((value) => value > 0)) {
+    series.push({ name: 'Other', color: OTHER_COLOR, values: otherValues });
+  }
+  return series;
+};
+
+const render = (summary) => {
+  disabledNote.classList.toggle('hidden', summary.enabled);
+  renderTiles(summary);
+
+  const labels = summary.days.map((day) => day.date);
+  renderBarChart(usageChart, {
+    labels,
+    series: [
+      { name: 'Shown', color: SHOWN_COLOR, values: summary.days.map((day) => day.shown) },
+      { name: 'Used', color: USED_COLOR, values: summary.days.map((day) => day.used) }
+    ]
+  });
+  renderBarChart(appsChart, { labels, series: programSeries(summary), stacked: true });
+  renderBarChart(latencyChart, {
+    labels,
+    series: [
+      { name: 'Average latency', color: LATENCY_COLOR, values: summary.days.map((day) => day.avgLatencyMs || 0) }
+    ],
+    formatValue: formatLatency
+  });
+  renderPrograms(summary);
+};
+
+const refresh = async () => {
+  if (typeof selectionBridge.getUsageStats !== 'function') {
+    return;
+  }
+  try {
+    const summary = await selectionBridge.getUsageStats(readRange());
+    if (summary) {
+      render(summary);
+    }
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'stats#read', message: error.message });
+  }
+};
+
+const queueRefresh = () => {
+  if (state.refreshTimeoutId) {
+    return;
+  }
+  state.refreshTimeoutId = window.setTimeout(() => {
+    state.refreshTimeoutId = null;
+    refresh();
+  }, REFRESH_DEBOUNCE_MS);
+};
+
+const handleExport = async () => {
+  if (typeof selectionBridge.exportUsageCsv !== 'function') {
+    return;
+  }
+  exportButton.disabled = true;
+  try {
+    const result = await selectionBridge.exportUsageCsv(readRange());
+    if (result?.ok) {
+      status.textContent = `Saved ${result.filePath}`;
+    } else if (!result?.canceled) {
+      status.textContent = `Export failed: ${result?.error || 'unknown error'}`;
+    }
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'stats#export', message: error.message });
+  } finally {
+    exportButton.disabled = false;
+  }
+};
+
+const handleReset = async () => {
+  if (!window.confirm('Reset all usage statistics?')) {
+    return;
+  }
+  try {
+    await selectionBridge.clearUsageStats?.();
+  } catch (error) {
+    selectionBridge.logError?.({ scope: 'stats#reset', message: error.message });
+  }
+};
+
+const init = async () => {
+  const pageTheme = setupPageTheme(selectionBridge);
+
+  if (typeof selectionBridge.readConfig === 'function') {
+    try {
+      const config = await selectionBridge.readConfig();
+      pageTheme.setTheme(config?.theme);
+    } catch (error) {
+      selectionBridge.logError?.({ scope: 'stats#init', message: error.message });
+    }
+  }
+
+  toolbar.addEventListener('change', refresh);
+  exportButton.addEventListener('click', handleExport);
+  resetButton.addEventListener('click', handleReset);
+  selectionBridge.onUsageUpdated?.(queueRefresh);
+  selectionBridge.onConfigUpdated?.(queueRefresh);
+  await refresh();
+};
+
+init().catch((error) => {
+  selectionBridge.logError?.({ scope: 'stats#init', message: error.message });
+});
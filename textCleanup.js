@@ -0,0 +1,70 @@
+const CJK_PATTERN = /[\u3000-\u303F\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+
+const normalizeNewlines = (text) => text.replace(/\r\n?/g, '\n');
+
+// Lines that start a list item (a marker followed by text), a block quote or a table row begin
+// on a line of their own.
+const STRUCTURED_LINE_PATTERN = /^(?:[-*+\u2022\u25E6\u2023\u25AA][ \t]+\S|\d+[.)][ \t]+\S|>|\|)/;
+// A line ending in a hyphen that dehyphenate left alone, e.g. before a capital letter.
+const TRAILING_HYPHEN_PATTERN = /\p{L}-$/u;
+
+const transforms = {
+  // Removes hyphens that only exist because a word was broken at the end of a line.
+  dehyphenate: (text) =>
+    normalizeNewlines(text)
+      .replace(/\u00AD/g, '')
+      .replace(/(\p{L})-[ \t]*\n[ \t]*(\p{Ll})/gu, '$1$2'),
+
+  // Joins hard-wrapped lines inside a paragraph; blank lines still separate paragraphs, and
+  // list items, quotes and table rows keep their line break.
+  // CJK characters are joined without a space because the scripts do not use word spacing.
+  joinLines: (text) =>
+    normalizeNewlines(text).replace(/([^\n])[ \t]*\n[ \t]*(?=[^\n])/g, (match, before, offset, source) => {
+      const rest = source.slice(offset + match.length);
+      const lineEnd = source.slice(Math.max(0, offset - 1), offset + 1);
+      if (STRUCTURED_LINE_PATTERN.test(rest) || TRAILING_HYPHEN_PATTERN.test(lineEnd)) {
+        return match;
+      }
+      const after = rest[0];
+      const glue = CJK_PATTERN.test(before) && CJK_PATTERN.test(after) ? '' : ' ';
+      return `${before}${glue}`;
+    }),
+
+  collapseWhitespace: (text) =>
+    normalizeNewlines(text)
+      .replace(/[ \t\u00A0\u2000-\u200A\u202F\u205F]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim(),
+
+  normalizeQuotes: (text) =>
+    text.replace(/[\u201C-\u201F\u2033]/g, '"').replace(/[\u2018-\u201B\u2032]/g, "'")
+};
+
+const TRANSFORM_NAMES = Object.keys(transforms);
+
+const resolveTransforms = (config, programName) => {
+  if (!config || config.enabled === false) {
+    return [];
+  }
+
+  const normalizedProgram = typeof programName === 'string' ? programName.toLowerCase() : '';
+  const apps = config.apps && typeof config.apps === 'object' ? config.apps : {};
+  const match = Object.entries(apps).find(([name]) => name.toLowerCase() === normalizedProgram);
+  const steps = match ? match[1] : config.defaultTransforms;
+
+  return Array.isArray(steps) ? steps.filter((name) => transforms[name]) : [];
+};
+
+const cleanupText = (text, programName, config) => {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+  return resolveTransforms(config, programName).reduce((result, name) => transforms[name](result), text);
+};
+
+module.exports = {
+  cleanupText,
+  resolveTransforms,
+  TRANSFORM_NAMES
+};
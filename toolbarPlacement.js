@@ -0,0 +1,149 @@
+// Sides the toolbar can take relative to the selection, tried in this order after the preferred
+// one and its opposite.
+const SIDES = ['below', 'above', 'right', 'left'];
+const OPPOSITE_SIDE = { below: 'above', above: 'below', right: 'left', left: 'right' };
+// Area kept free under the mouse pointer; the arrow extends down and right from its hot spot.
+const CURSOR_SIZE = { width: 20, height: 24 };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+const getCursorRect = (point) => ({ x: point.x, y: point.y, ...CURSOR_SIZE });
+
+const rectFromPoints = (points) => {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+const intersect = (a, b) => {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const width = Math.min(a.x + a.width, b.x + b.width) - x;
+  const height = Math.min(a.y + a.height, b.y + b.height) - y;
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+};
+
+const overlapArea = (a, b) => {
+  const overlap = intersect(a, b);
+  return overlap ? overlap.width * overlap.height : 0;
+};
+
+// Part of `rect` on the given area; a rectangle entirely outside collapses onto its nearest edge.
+const clipRect = (rect, area) => {
+  const x = clamp(rect.x, area.x, area.x + area.width);
+  const y = clamp(rect.y, area.y, area.y + area.height);
+  return {
+    x,
+    y,
+    width: clamp(rect.x + rect.width, area.x, area.x + area.width) - x,
+    height: clamp(rect.y + rect.height, area.y, area.y + area.height) - y
+  };
+};
+
+const getSideOrder = (preferred) => {
+  const first = SIDES.includes(preferred) ? preferred : SIDES[0];
+  const order = [first, OPPOSITE_SIDE[first], ...SIDES];
+  return order.filter((side, index) => order.indexOf(side) === index);
+};
+
+// `align` positions the toolbar along the side: `start` puts its left edge at `focus`, `end`
+// its right edge and `center` centres it there. Left and right placements centre on the target.
+const alignAlong = (focus, length, align) => {
+  if (align === 'start') {
+    return focus;
+  }
+  if (align === 'end') {
+    return focus - length;
+  }
+  return focus - length / 2;
+};
+
+const getCandidate = (side, { width, height }, target, focus, align, gap) => {
+  const middle = target.y + target.height / 2 - height / 2;
+  switch (side) {
+    case 'above':
+      return { x: alignAlong(focus.x, width, align), y: target.y - gap - height };
+    case 'right':
+      return { x: target.x + target.width + gap, y: middle };
+    case 'left':
+      return { x: target.x - gap - width, y: middle };
+    case 'below':
+    default:
+      return { x: alignAlong(focus.x, width, align), y: target.y + target.height + gap };
+  }
+};
+
+// Before giving up on a side, the toolbar may slide along it to either side of the pointer.
+const getShifts = (side, candidate, { width, height }, cursorRect) => {
+  if (!cursorRect) {
+    return [candidate];
+  }
+  if (side === 'above' || side === 'below') {
+    return [
+      candidate,
+      { ...candidate, x: cursorRect.x - width },
+      { ...candidate, x: cursorRect.x + cursorRect.width }
+    ];
+  }
+  return [
+    candidate,
+    { ...candidate, y: cursorRect.y - height },
+    { ...candidate, y: cursorRect.y + cursorRect.height }
+  ];
+};
+
+/**
+ * Computes toolbar bounds of `size` next to the `target` rectangle (the selection, or the area
+ * under the pointer), all in DIPs. Each side from `preferredSide` on is tried in turn: the
+ * toolbar goes `gap` away from the target, lined up with `focus` (where the selection ended)
+ * according to `align`, or slid along the side past the `cursor`, then shifted into `workArea`.
+ * The first candidate that covers neither the target nor the cursor wins; when none is free,
+ * the one covering the least.
+ *
+ * `target` is clipped to `workArea` first, so the part of a selection on another display does
+ * not push the toolbar off this one.
+ */
+const placeToolbar = ({ size, target, focus, align = 'center', preferredSide = 'below', gap = 0, cursor, workArea }) => {
+  const width = Math.round(size.width);
+  const height = Math.round(size.height);
+  const area = clipRect(target, workArea);
+  const anchor = {
+    x: clamp(focus.x, workArea.x, workArea.x + workArea.width),
+    y: clamp(focus.y, workArea.y, workArea.y + workArea.height)
+  };
+  const cursorRect = cursor ? getCursorRect(cursor) : null;
+
+  let best = null;
+  for (const side of getSideOrder(preferredSide)) {
+    const candidate = getCandidate(side, { width, height }, area, anchor, align, gap);
+    for (const { x, y } of getShifts(side, candidate, { width, height }, cursorRect)) {
+      const bounds = {
+        x: Math.round(clamp(x, workArea.x, workArea.x + workArea.width - width)),
+        y: Math.round(clamp(y, workArea.y, workArea.y + workArea.height - height)),
+        width,
+        height
+      };
+      // A side without room only serves as a fallback, even when pushing the toolbar back
+      // into the work area happens to clear the selection.
+      const vertical = side === 'above' || side === 'below';
+      const fits = vertical ? bounds.y === Math.round(y) : bounds.x === Math.round(x);
+      const covered = overlapArea(bounds, area) + (cursorRect ? overlapArea(bounds, cursorRect) : 0);
+      if (covered === 0 && fits) {
+        return { bounds, side };
+      }
+      if (!best || covered < best.covered) {
+        best = { bounds, side, covered };
+      }
+    }
+  }
+  return { bounds: best.bounds, side: best.side };
+};
+
+module.exports = {
+  getCursorRect,
+  placeToolbar,
+  rectFromPoints,
+  SIDES
+};
@@ -0,0 +1,291 @@
+const { EventEmitter } = require('events');
+const fs = require('fs/promises');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const PERSIST_DELAY_MS = 2000;
+const USAGE_EVENTS = ['bubble-shown', 'action', 'copy', 'copy-failed'];
+const CSV_COLUMNS = [
+  'date',
+  'program',
+  'bubbleShown',
+  'bubbleUsed',
+  'copies',
+  'fallbacks',
+  'failures',
+  'avgLatencyMs',
+  'maxLatencyMs'
+];
+
+const emptyCounters = () => ({
+  shown: 0,
+  used: 0,
+  copies: 0,
+  fallbacks: 0,
+  failures: 0,
+  latencyCount: 0,
+  latencyTotalMs: 0,
+  latencyMaxMs: 0
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Days are keyed by local date so "today" matches the user's calendar.
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Calendar arithmetic rather than 24 h steps, which skip or repeat a day around DST changes.
+const daysAgo = (offset) => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+};
+
+const addCounters = (target, source) => {
+  Object.keys(target).forEach((key) => {
+    target[key] = key === 'latencyMaxMs' ? Math.max(target[key], source[key]) : target[key] + source[key];
+  });
+  return target;
+};
+
+const describeCounters = (counters) => ({
+  shown: counters.shown,
+  used: counters.used,
+  copies: counters.copies,
+  fallbacks: counters.fallbacks,
+  failures: counters.failures,
+  avgLatencyMs: counters.latencyCount > 0 ? Math.round(counters.latencyTotalMs / counters.latencyCount) : null,
+  maxLatencyMs: counters.latencyCount > 0 ? counters.latencyMaxMs : null
+});
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Local usage counters, aggregated per day and per program and kept in a JSON file. Nothing is
+ * sent anywhere. `record(type, data)` takes one of `USAGE_EVENTS`: `bubble-shown`, `action`
+ * (a bubble button was used), `copy` (with `latencyMs` from click to clipboard, including the
+ * copy delay, and `fallback` when the renderer had to write the clipboard itself) and `copy-failed`.
+ */
+class UsageStats extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.filePath = options.filePath;
+    this.days = {};
+    this.enabled = true;
+    this.retentionDays = DEFAULT_RETENTION_DAYS;
+    this.persistTimer = null;
+  }
+
+  updateConfig(config = {}) {
+    this.enabled = config.enabled !== false;
+    const retentionDays = Number(config.retentionDays);
+    this.retentionDays = Number.isFinite(retentionDays) && retentionDays > 0 ? retentionDays : DEFAULT_RETENTION_DAYS;
+
+    if (this.prune()) {
+      this.schedulePersist();
+      this.emit('changed');
+    }
+  }
+
+  async load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.days = isValidDays(parsed.days) ? parsed.days : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logError(error);
+      }
+      this.days = {};
+    }
+
+    if (this.prune()) {
+      this.schedulePersist();
+    }
+  }
+
+  record(type, { program, latencyMs, fallback } = {}) {
+    if (!this.enabled || !USAGE_EVENTS.includes(type)) {
+      return;
+    }
+
+    const key = dayKey(new Date());
+    if (!this.days[key]) {
+      // First event of a new day: a good moment to drop days past the retention window.
+      this.prune();
+      this.days[key] = {};
+    }
+    const day = this.days[key];
+    const name = typeof program === 'string' ? program.toLowerCase() : '';
+    const counters = day[name] || (day[name] = emptyCounters());
+
+    switch (type) {
+      case 'bubble-shown':
+        counters.shown += 1;
+        break;
+      case 'action':
+        counters.used += 1;
+        break;
+      case 'copy':
+        counters.copies += 1;
+        if (fallback) {
+          counters.fallbacks += 1;
+        }
+        if (Number.isFinite(latencyMs) && latencyMs >= 0) {
+          counters.latencyCount += 1;
+          counters.latencyTotalMs += Math.round(latencyMs);
+          counters.latencyMaxMs = Math.max(counters.latencyMaxMs, Math.round(latencyMs));
+        }
+        break;
+      default:
+        counters.failures += 1;
+        break;
+    }
+
+    this.schedulePersist();
+    this.emit('changed');
+  }
+
+  /**
+   * Totals for the last `days` days (today included): one entry per day, zero-filled so charts
+   * have no gaps, plus per-program totals sorted by copies and the overall totals.
+   */
+  summarize({ days = 30 } = {}) {
+    const count = Math.max(1, Math.min(Math.floor(Number(days)) || 30, 3650));
+    const perDay = [];
+    const perProgram = new Map();
+    const totals = emptyCounters();
+
+    for (let offset = count - 1; offset >= 0; offset -= 1) {
+      const date = dayKey(daysAgo(offset));
+      const dayTotals = emptyCounters();
+      const programs = {};
+      Object.entries(this.days[date] || {}).forEach(([program, counters]) => {
+        addCounters(dayTotals, counters);
+        programs[program] = counters.copies;
+        if (!perProgram.has(program)) {
+          perProgram.set(program, emptyCounters());
+        }
+        addCounters(perProgram.get(program), counters);
+      });
+      addCounters(totals, dayTotals);
+      perDay.push({ date, ...describeCounters(dayTotals), copiesByProgram: programs });
+    }
+
+    return {
+      enabled: this.enabled,
+      days: perDay,
+      programs: [...perProgram.entries()]
+        .map(([program, counters]) => ({ program, ...describeCounters(counters) }))
+        .sort((left, right) => right.copies - left.copies || right.shown - left.shown),
+      totals: describeCounters(totals)
+    };
+  }
+
+  /** One CSV row per day and program for the last `days` days. */
+  toCsv({ days = 30 } = {}) {
+    const { days: perDay } = this.summarize({ days });
+    const rows = [CSV_COLUMNS.join(',')];
+    perDay.forEach(({ date }) => {
+      Object.entries(this.days[date] || {})
+        .sort(([left], [right]) => left.localeCompare(right))
+        .forEach(([program, counters]) => {
+          const described = describeCounters(counters);
+          rows.push(
+            [
+              date,
+              program,
+              described.shown,
+              described.used,
+              described.copies,
+              described.fallbacks,
+              described.failures,
+              described.avgLatencyMs,
+              described.maxLatencyMs
+            ]
+              .map(csvField)
+              .join(',')
+          );
+        });
+    });
+    return `${rows.join('\r\n')}\r\n`;
+  }
+
+  clear() {
+    this.days = {};
+    this.schedulePersist();
+    this.emit('changed');
+  }
+
+  prune() {
+    const cutoff = dayKey(daysAgo(this.retentionDays - 1));
+    const expired = Object.keys(this.days).filter((date) => date < cutoff);
+    expired.forEach((date) => delete this.days[date]);
+    return expired.length > 0;
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch((error) => this.logError(error));
+    }, PERSIST_DELAY_MS);
+  }
+
+  async persist() {
+    await writeFileAtomic(this.filePath, `${JSON.stringify({ days: this.days })}\n`);
+  }
+
+  async flush() {
+    if (!this.persistTimer) {
+      return;
+    }
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      await this.persist();
+    } catch (error) {
+      this.logError(error);
+    }
+  }
+
+  logError(error) {
+    if (this.options?.logger?.error) {
+      this.options.logger.error(error);
+    } else {
+      console.error('[UsageStats] Error:', error);
+    }
+  }
+}
+
+function isValidDays(days) {
+  return (
+    days !== null &&
+    typeof days === 'object' &&
+    Object.entries(days).every(
+      ([date, programs]) =>
+        /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+        programs !== null &&
+        typeof programs === 'object' &&
+        Object.values(programs).every(
+          (counters) =>
+            counters !== null &&
+            typeof counters === 'object' &&
+            Object.keys(emptyCounters()).every((key) => Number.isFinite(counters[key]))
+        )
+    )
+  );
+}
+
+function createUsageStats(options) {
+  return new UsageStats(options);
+}
+
+module.exports = {
+  createUsageStats,
+  UsageStats,
+  USAGE_EVENTS
+};